@@ -52,6 +52,48 @@ function alarm(message = '', {title = T$('extensionName'), id = ''} = {}) {
   });
 }
 
+// Calls a function until it succeeds, waiting longer after each failure
+async function Retry(func, {tries = 3, delay = 200, signal = null} = {}) {
+  for (let i = 1; ; i++) {
+    try {
+      return await func();
+    } catch (err) {
+      if (i >= tries || (signal && signal.aborted)) {
+        abort(err);
+      }
+      console.warn(`Retrying after failure ${i}/${tries}: ${err}`);
+      await new Promise(resolve => setTimeout(resolve, delay * 2 ** (i - 1)));
+    }
+  }
+}
+
+// Formats seconds as m:ss
+function FormatDuration(seconds) {
+  return Math.floor(seconds / 60) + ':' + String(seconds % 60).padStart(2, '0');
+}
+
+// Ways of capturing a page, the preferred one first
+const STRATEGIES = ['native', 'css_scroll', 'js_scroll'];
+
+// Gets the key of a page for settings per site
+function GetSiteKey(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (err) {
+    return '';
+  }
+}
+
+// Gets the capture strategies to try in order: the one of the site, the
+// global one, then the others
+function GetStrategies(prefs, host, has_native = true) {
+  let list = [prefs.site_strategies[host], prefs.strategy, ...STRATEGIES];
+  return list.filter((strategy, i) => {
+    return STRATEGIES.includes(strategy) && list.indexOf(strategy) === i
+           && (has_native || strategy !== 'native');
+  });
+}
+
 // Function which handles sending the "take screenshot" message to the active
 // tab. Includes error handling with error notification.
 async function SendMessage(aJsonMessage) {
@@ -76,12 +118,19 @@ async function GetMenuList() {
   const formats = [
     {id: "png",  label: "PNG"},
     {id: "jpg",  label: "JPEG"},
+    {id: "webp", label: "WebP"},
+    {id: "tiff", label: "TIFF"},
+    {id: "pdf",  label: "PDF"},
+    {id: "html", label: T$("format_html_label")},
     {id: "copy", label: T$("format_copy_label")}
   ];
   const regions = [
     {id: "full",      label: T$("region_full_label")},
     {id: "viewport",  label: T$("region_viewport_label")},
-    {id: "selection", label: T$("region_selection_label")}
+    {id: "selection", label: T$("region_selection_label")},
+    {id: "element",   label: T$("region_element_label")},
+    {id: "container", label: T$("region_container_label")},
+    {id: "print",     label: T$("region_print_label")}
   ];
 
   let template = "$REGION ($FORMAT)";
@@ -94,6 +143,14 @@ async function GetMenuList() {
   for (let region of regions) {
     if (!prefs.regions.includes(region.id))
       continue;
+    // always a PDF file, printed by Firefox
+    if (region.id == "print") {
+      list.push({
+        label: region.label,
+        data: JSON.stringify({region: region.id}),
+      });
+      continue;
+    }
     for (let format of formats) {
       if (!prefs.formats.includes(format.id))
         continue;
@@ -117,9 +174,14 @@ class JobQueue {
   parallel() {
     return Promise.all(this.queue.splice(0).map(exec => exec()));
   }
-  async serial() {
+  // stops between jobs once the signal is aborted
+  async serial(signal = null) {
     let result = [];
     while (this.queue.length > 0) {
+      if (signal && signal.aborted) {
+        this.queue = [];
+        abort('cancelled');
+      }
       result = this.queue.shift().apply(null, result);
       if (result instanceof Promise) {
         await result.then(function () {
@@ -133,41 +195,72 @@ class JobQueue {
   }
 }
 
-// only works for timers and promises in the same page
-class Mutex {
-  // timeout in milliseconds
-  constructor({lock_time = 0, retry_interval = 0} = {}) {
-    Mutex.registry = Mutex.registry || Object.create(null);
-    this.id = Object.create(null);
-    this.lock_time = (lock_time | 0) || (1000 * 60);
-    this.retry_interval = (retry_interval | 0) || 1000;
-  }
-
-  lock(key, {retry = true, lock_time = 0, retry_interval = 0} = {}) {
-    let opts = {
-      retry: Boolean(retry),
-      lock_time: (lock_time >= 1 ? (lock_time | 0) : this.lock_time),
-      retry_interval: (retry_interval >= 1 ? (retry_interval | 0) : this.retry_interval),
-    };
-    let info = Mutex.registry[key], now = Date.now();
-    if (info === undefined || info.id === this.id || info.deadline < now) {
-      Mutex.registry[key] = {id: this.id, deadline: now + opts.lock_time};
-      return Promise.resolve(true);
-    }
-    return (retry === true || --retry >= 0) ? new Promise(resolve => {
-      setTimeout(async () => {
-        resolve(await this.lock(key, opts));
-      }, opts.retry_interval);
-    }) : Promise.resolve(false);
-  }
-
-  unlock(key) {
-    let info = Mutex.registry[key];
-    if (info === undefined || info.id === this.id || info.deadline < Date.now()) {
-      delete Mutex.registry[key];
-      return true;
-    } else {
-      return false;
+// First come, first served, with a number of jobs served at the same time;
+// jobs of the same key are never served at the same time.
+class Queue {
+  constructor(concurrency = 1) {
+    this.concurrency = concurrency;
+    this.waiting = [];
+    this.running = [];
+    // called whenever a job is added, started or finished
+    this.onchange = ignore;
+  }
+
+  get size() {
+    return this.waiting.length + this.running.length;
+  }
+
+  // whether the key is waiting for its turn or being served
+  has(key) {
+    return this.waiting.concat(this.running).some(job => job.key === key);
+  }
+
+  // whether a new job would have to wait
+  get busy() {
+    return this.waiting.length > 0 || this.running.length >= this.concurrency;
+  }
+
+  // resolves to a function to call when done, once it is the turn of the job;
+  // rejects if the signal is aborted before that
+  enter(key, info = {}, signal = null) {
+    return new Promise((resolve, reject) => {
+      let job = {key, info, start: null};
+      let done = () => {
+        let i = this.running.indexOf(job);
+        if (i >= 0) {
+          this.running.splice(i, 1);
+          this.next();
+        }
+      };
+      job.start = () => resolve(done);
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          let i = this.waiting.indexOf(job);
+          if (i >= 0) {
+            this.waiting.splice(i, 1);
+            this.onchange();
+            reject(new Error('cancelled'));
+          }
+        });
+      }
+      this.waiting.push(job);
+      this.next();
+    });
+  }
+
+  // starts the waiting jobs which can be served now
+  next() {
+    for (let job of this.waiting.slice()) {
+      if (this.running.length >= this.concurrency) {
+        break;
+      }
+      if (this.running.some(other => other.key === job.key)) {
+        continue;
+      }
+      this.waiting.splice(this.waiting.indexOf(job), 1);
+      this.running.push(job);
+      job.start();
     }
+    this.onchange();
   }
 }
@@ -26,15 +26,32 @@ function ContextMenuClicked(aInfo) {
   SendMessage(aInfo.menuItemId);
 }
 
-// Fired if toolbar button is clicked
-function ToolbarButtonClicked() {
-  SendMessage('{}');
+// Fired if toolbar button is clicked, cancels the screenshots being taken
+function ToolbarButtonClicked(tab) {
+  if (cancels.has(tab.id)) {
+    CancelScreenshots(tab.id);
+  } else {
+    SendMessage('{}');
+  }
+}
+
+// Fired if a notification is clicked, cancels the screenshot it is about
+function NotificationClicked(id) {
+  CancelScreenshot(id);
 }
 
 // Fired if shortcut is pressed
 function CommandPressed(name) {
+  // tabs-<region>-<format>
+  if (name.startsWith('tabs-')) {
+    const info = name.split('-');
+    TakeBatchScreenshots({region: info[1], format: info[2]});
+    return;
+  }
+  // <region>-<format>[-<delay in seconds>]
   const info = name.split('-');
-  SendMessage(JSON.stringify({region: info[0], format: info[1]}));
+  const delay = info[2] ? parseInt(info[2], 10) : undefined;
+  SendMessage(JSON.stringify({region: info[0], format: info[1], delay: delay}));
 }
 
 // Triggers UI update (toolbar button popup and context menu)
@@ -80,13 +97,199 @@ async function UpdateUI() {
 // Register event listener to receive option update notifications and
 // content script requests
 browser.runtime.onMessage.addListener((data, sender) => {
+  // The number of jobs served at the same time may have changed
+  if (data.type === 'OptionsChanged') UpdateQueues();
+
   // An option change with request for redraw happened
   if (data.type === 'OptionsChanged' && data.redraw) return UpdateUI();
 
   // The content script requests us to take a screenshot
   if (data.type === 'TakeScreenshot') return TakeScreenshot(data, sender.tab);
+
+  // The content script requests us to print the page into a PDF file
+  if (data.type === 'SaveAsPDF') return SaveAsPDF(data, sender.tab);
+
+  // The popup requests us to take screenshots of many tabs
+  if (data.type === 'TakeBatchScreenshots') return TakeBatchScreenshots(data);
+
+  // The content script requests us to stop taking screenshots (Escape key)
+  if (data.type === 'CancelScreenshot') return CancelScreenshots(sender.tab.id);
 });
 
+// Screenshots waiting to be captured or being captured; those of the same
+// tab are captured one after another
+const captures = new Queue();
+// Screenshots waiting for a worker to encode them or being encoded, workers
+// are often cpu hogs
+const encoders = new Queue();
+captures.onchange = encoders.onchange = () => ReportQueues();
+
+// Screenshots being taken: tab id => (notification id => AbortController)
+const cancels = new Map();
+
+// Phases of taking a screenshot in order, and their share of the work
+const PHASES = {
+  capturing: 40,
+  decoding: 15,
+  encoding: 35,
+  metadata: 2,
+  saving: 8,
+};
+
+// Latest progress of the screenshots being taken, by notification id
+const reports = new Map();
+// Ports of the popups following the progress
+const listeners = new Set();
+
+browser.runtime.onConnect.addListener((port) => {
+  if (port.name === 'progress') {
+    listeners.add(port);
+    port.onDisconnect.addListener(() => listeners.delete(port));
+    // the popup cancels a screenshot by its id, or those of a tab
+    port.onMessage.addListener((message) => {
+      if (message.cancel_tab != null) {
+        CancelScreenshots(message.cancel_tab);
+      } else {
+        CancelScreenshot(message.cancel);
+      }
+    });
+    for (let report of reports.values()) {
+      port.postMessage(report);
+    }
+    ReportQueues();
+  }
+});
+
+// Sends the screenshots waiting in the queues to the popups
+function ReportQueues() {
+  let report = {
+    queues: {
+      captures: captures.waiting.map(job => job.info),
+      encoders: encoders.waiting.map(job => job.info),
+    },
+    // tabs with screenshots to cancel, those of a batch have none
+    tabs: [...cancels.keys()].filter(key => typeof key === 'number'),
+  };
+  for (let port of listeners) {
+    port.postMessage(report);
+  }
+}
+
+async function UpdateQueues() {
+  const prefs = await Storage.get();
+  captures.concurrency = prefs.capture_concurrency;
+  encoders.concurrency = prefs.encode_concurrency;
+  captures.next();
+  encoders.next();
+}
+
+// Progress of a screenshot through its phases, shown on the toolbar button
+// and sent to the popups
+class Progress {
+  // batch: {index, count} of the screenshot in a batch of many tabs
+  constructor(tab, id, badge, batch = null) {
+    this.tab = tab;
+    this.id = id;
+    this.badge = badge;
+    this.batch = batch;
+    this.phase = null;
+    // name => {done, total}
+    this.phases = Object.create(null);
+    this.start = Date.now();
+    this.shown = 0;
+  }
+
+  // Sets the amount of work in a phase
+  expect(phase, total) {
+    this.phases[phase] = {done: 0, total: Math.max(total, 1)};
+  }
+
+  // Makes a phase the current one, the skipped phases count as done
+  begin(phase) {
+    if (!(phase in this.phases)) {
+      this.expect(phase, 1);
+    }
+    this.phase = phase;
+    return this.show(true);
+  }
+
+  advance(phase, amount = 1) {
+    let {done, total} = this.phases[phase];
+    this.phases[phase].done = Math.min(done + amount, total);
+    return this.show(false);
+  }
+
+  // Sets the done part of a phase, from 0 to 1
+  set(phase, fraction) {
+    let {total} = this.phases[phase];
+    this.phases[phase].done = Math.min(fraction * total, total);
+    return this.show(false);
+  }
+
+  get value() {
+    let names = Object.keys(PHASES);
+    let current = names.indexOf(this.phase);
+    let sum = 0, all = 0;
+    names.forEach((name, i) => {
+      let phase = this.phases[name] || {done: i < current ? 1 : 0, total: 1};
+      sum += PHASES[name] * phase.done / phase.total;
+      all += PHASES[name];
+    });
+    return sum / all;
+  }
+
+  // Updates the toolbar button and the popups, not too often unless forced
+  async show(force) {
+    let now = Date.now();
+    if (!force && now - this.shown < 500) {
+      return;
+    }
+    this.shown = now;
+    let value = this.value;
+    let percent = Math.floor(value * 100);
+    // only a guess after some work is done
+    let eta = value >= 0.05 ? Math.round((now - this.start) * (1 - value) / value / 1000) : null;
+    let report = {
+      id: this.id,
+      tab: this.tab.id,
+      title: this.tab.title,
+      phase: this.phase,
+      percent: percent,
+      eta: eta,
+    };
+    reports.set(this.id, report);
+    for (let port of listeners) {
+      port.postMessage(report);
+    }
+    if (this.badge) {
+      let title = T$('badge_' + this.phase) + ` (${percent}%)`;
+      if (eta != null) {
+        title += '\n' + T$('badge_eta', FormatDuration(eta));
+      }
+      // the count of the batch matters more than the progress of one tab
+      let text = percent + '%';
+      if (this.batch) {
+        title = T$('badge_batch', this.batch.index, this.batch.count) + '\n' + title;
+        text = `${this.batch.index}/${this.batch.count}`;
+      }
+      // the tab may be closed by now, the progress is not worth failing for
+      await browserAction.setTitle({title: title, tabId: this.tab.id}).catch(ignore);
+      await browserAction.setBadgeText({text: text, tabId: this.tab.id}).catch(ignore);
+      await browserAction.setBadgeBackgroundColor({
+        color: this.phase === 'capturing' ? 'red' : 'green',
+        tabId: this.tab.id,
+      }).catch(ignore);
+    }
+  }
+
+  close() {
+    reports.delete(this.id);
+    for (let port of listeners) {
+      port.postMessage({id: this.id, done: true});
+    }
+  }
+}
+
 
 async function TakeScreenshot(req, tab) {
   // https://developer.mozilla.org/en-US/docs/Mozilla/Add-ons/WebExtensions/Browser_support_for_JavaScript_APIs
@@ -95,72 +298,150 @@ async function TakeScreenshot(req, tab) {
     return x in browserAction;
   });
 
-  const mutex = new Mutex({lock_time: 1000 * 60 * 5});
   const key = 'browserAction-' + tab.id;
-  const nid = Date.now();
+  const nid = String(Date.now());
+  const controller = new AbortController();
+  const signal = controller.signal;
+  // notifications to be clicked for cancelling
+  const progress = (message) => {
+    notify(message + '\n' + T$('info_click_to_cancel'), {id: nid});
+  };
+  const status = new Progress(tab, nid, badge, req.batch || null);
 
+  let leave = null;
+  let release = null;
+  let filename = null;
+  // resolved with, for batches to count the screenshots saved
+  let saved = false;
   let restoreScrollPosition = () => Promise.resolve();
+  // rows of the image are written out band by band, never as a whole
+  let tiff = null;
+  signal.addEventListener('abort', () => {
+    if (tiff) {
+      tiff.close();
+    }
+  });
+  // shown in the queues of the popup
+  const info = {
+    id: nid,
+    tab: tab.id,
+    title: tab.title,
+    region: req.region,
+    format: req.format,
+  };
   try {
-    if (!(await mutex.lock(key, {retry: false}))) {
-      return;
+    await AddCancel(tab.id, nid, controller);
+    if ((captures.busy || captures.has(key)) && badge) {
+      await browserAction.setTitle({title: T$('badge_queued'), tabId: tab.id});
+      await browserAction.setBadgeText({text: '…', tabId: tab.id});
+    }
+    leave = await captures.enter(key, info, signal);
+
+    const prefs = await Storage.get();
+
+    // give the user some time to open menus or hover over something
+    const delay = req.delay != null ? req.delay : prefs.delay;
+    if (delay > 0) {
+      await Countdown(tab, delay, badge, signal);
+    }
+
+    // scroll through the page once, lazily loaded content changes its size
+    if (req.region === 'full' && prefs.preload) {
+      if (badge) {
+        await browserAction.setTitle({title: T$('badge_preloading'), tabId: tab.id});
+        await browserAction.setBadgeText({text: '↓', tabId: tab.id});
+      }
+      req = Object.assign({}, req, await browser.tabs.sendMessage(tab.id, {
+        type: 'PreloadPage',
+        quiet: prefs.preload_quiet,
+        max_height: prefs.preload_max_height,
+        timeout: prefs.preload_timeout,
+        links: req.links != null,
+      }));
     }
-    await browserAction.disable(tab.id);
 
     // Maximum size is limited!
     // https://developer.mozilla.org/en-US/docs/Web/HTML/Element/canvas#maximum_canvas_size
     // https://hg.mozilla.org/mozilla-central/file/93c7ed3f5606865707e5ebee8709b13ce0c2e220/dom/canvas/CanvasRenderingContext2D.cpp#l4814
     // https://hg.mozilla.org/mozilla-central/file/93c7ed3f5606865707e5ebee8709b13ce0c2e220/gfx/2d/Factory.cpp#l326
-    // WTF: animation sucks your eyeballs out during multiple screen captures
     const {vw, vh, pw, ph, width: rw, height: rh} = req;
     const {scroll: {sx, sy, spx, spy}, direction: dir} = req;
-    const scl = BROWSER_VERSION_MAJOR >= 82 ? req.scale : 1;
-    const limits = [32767 / scl, 472907776 / (scl * scl)].map(Math.trunc);
-    const one_canvas = Math.max(rw, rh) <= limits[0] && rw * rh <= limits[1];
+    // visible area of the scrolling element to capture, in place of the page
+    const {container} = req;
+    // tabs.captureTab renders at any scale, other tiles need resampling
+    const out = GetOutputScale(prefs, BROWSER_VERSION_MAJOR >= 82 ? req.scale : 1, rw);
+    const scl = BROWSER_VERSION_MAJOR >= 82 ? out : 1;
+    const resample = out != scl;
+    const max_scl = Math.max(scl, out);
+    const limits = [32767 / max_scl, 472907776 / (max_scl * max_scl)].map(Math.trunc);
+    const one_canvas = req.format !== 'tiff'
+                       && Math.max(rw, rh) <= limits[0] && rw * rh <= limits[1];
 
-    const prefs = await Storage.get();
-    const format = {
+    let format = {
       png: ['png', 'png', 'image/png'],
       jpg: ['jpg', 'jpeg', 'image/jpeg'],
+      webp: ['webp', 'png', 'image/webp'],
+      pdf: ['pdf', 'png', 'application/pdf'],
+      html: ['html', 'png', 'text/html'],
       copy: ['png', 'png', 'image/png'],
+      tiff: ['tif', 'png', 'image/tiff'],
     }[req.format];
-    const quality = prefs.jpegquality;
+    const quality = format[0] === 'webp' ? prefs.webpquality : prefs.jpegquality;
 
-    const filename = GetDefaultFileName('saved_page', tab, prefs.filenameformat) + '.' + format[0];
+    const basename = GetDefaultFileName('saved_page', tab, prefs.filenameformat);
+    filename = basename + '.' + format[0];
+    // WebP is limited to 16383 pixels on each side
+    if (format[0] === 'webp' && Math.max(rw, rh) * out > 16383) {
+      format = ['png', 'png', 'image/png'];
+      filename = basename + '.' + format[0];
+      progress(T$('warningImageWebp', filename));
+    }
 
-    const [totalWidth, totalHeight] = [rw, rh].map(x => Math.trunc(x * scl));
+    // size of the saved image, and of the captured one
+    const [totalWidth, totalHeight] = [rw, rh].map(x => Math.trunc(x * out));
+    const [captureWidth, captureHeight] = [rw, rh].map(x => Math.trunc(x * scl));
+    // the time of the capture, in all that is saved about it
+    const date = new Date();
+    // what is saved about the screenshot, if the settings allow it
+    const metadata = prefs.image_comment && req.format !== 'copy' ? await GetMetadata(req, tab, prefs, {
+      date: date,
+      width: totalWidth,
+      height: totalHeight,
+      scale: out,
+    }) : null;
     let content = null;
     if (one_canvas) {
       let canvas = document.createElement('canvas');
       content = canvas.getContext('2d', {alpha: false});
-      canvas.width = totalWidth;
-      canvas.height = totalHeight;
-    } else {
+      canvas.width = captureWidth;
+      canvas.height = captureHeight;
+    } else if (req.format !== 'tiff') {
       try {
-        let size = totalWidth * totalHeight * 4;
+        let size = captureWidth * captureHeight * 4;
         if (size < Number.MAX_SAFE_INTEGER) {
           // RangeError: invalid array length ?
-          // TODO: new ImageWriter('tiff'); URL.createObjectURL(new Blob([...tiff_strips]))
           content = new Uint8Array(size);
         } else {
           throw null;
         }
+        progress(T$('warningImageVeryLarge'));
       } catch (err) {
-        alarm(T$('errorImageTooLarge', filename), {id: nid});
-        return;
+        if (req.format === 'copy') {
+          alarm(T$('errorImageTooLarge', filename), {id: nid});
+          return false;
+        }
+        format = ['tif', 'png', 'image/tiff'];
+        filename = basename + '.' + format[0];
+        progress(T$('warningImageTiff', filename));
       }
-      notify(T$('warningImageVeryLarge'), {id: nid});
     }
-
-    const use_native = (BROWSER_VERSION_MAJOR >= 82
-                        || (scl == 1 && CanvasRenderingContext2D.prototype.drawWindow));
-    const use_css_croll = !use_native;
-    const use_js_scroll = !use_native && !use_css_croll;
-
-    console.info({one_canvas, use_native, use_css_croll, use_js_scroll, BROWSER_VERSION_MAJOR});
-
-    // XXX: scrolling can cause side effects
-    let use_scroll = use_css_croll || use_js_scroll;
-    let updateScrollPosition = null;
+    if (!one_canvas && !content) {
+      // XXX: resampling and filters need the whole image
+      tiff = new TiffWriter({
+        width: captureWidth,
+        compression: prefs.tiff_compression ? 'deflate' : 'none',
+      });
+    }
 
     const js_scroll_restore = `window.scrollTo(${sx + spx}, ${sy + spy})`;
     const css_reset = {
@@ -169,11 +450,17 @@ async function TakeScreenshot(req, tab) {
       cssOrigin: 'user',
       code: `
         :root { min-width: 100vw !important; min-height: 100vh !important; }
-        *, *>*, *>*>* { animation-play-state: paused !important; }
+      `,
+    };
+    const css_freeze = {
+      allFrames: true,
+      runAt: 'document_start',
+      cssOrigin: 'user',
+      code: `
+        *, *::before, *::after { animation-play-state: paused !important; }
       `,
     };
     let resetScrollPosition = () => {
-      // TODO: stop js and svg animation
       return browser.tabs.insertCSS(tab.id, css_reset).then(() => {
         // reset position of sticky elements
         return browser.tabs.executeScript(tab.id, {
@@ -183,165 +470,183 @@ async function TakeScreenshot(req, tab) {
       });
     };
 
-    if (use_css_croll) {
-      let tasks = [() => browser.tabs.removeCSS(tab.id, css_reset)];
-      restoreScrollPosition = () => {
-        restoreScrollPosition = () => Promise.resolve();
-        return Promise.all(tasks.map(exec => exec())).then(() => {
-          return browser.tabs.executeScript(tab.id, {
-            runAt: 'document_start',
-            code: js_scroll_restore,
-          });
+    // capture an area of the page, or just the viewport
+    const captureRect = (rect) => {
+      if (BROWSER_VERSION_MAJOR >= 82) {
+        return browser.tabs.captureTab(tab.id, {
+          format: format[1],
+          quality: one_canvas ? quality : 100,
+          rect: rect,
+          scale: scl,
         });
-      };
-      // https://developer.mozilla.org/en-US/docs/Web/CSS/Cascade
-      let applyCssScroll = null;
-      // XXX: stuttering of background when scrollbar disappear?
-      //      setting min-width/height doesn't seem to work
-      let style = (await browser.tabs.executeScript(tab.id, {
-        runAt: 'document_start',
-        code: `{
-          let style = window.getComputedStyle(document.documentElement);
-          ({
-            translate: style.translate,
-            transform: style.transform,
-            bgx: style.backgroundPositionX,
-            bgy: style.backgroundPositionY,
-          })
-        }`,
-      }))[0];
-      style.bgx = style.bgx.split(/\s*,\s*/);
-      style.bgy = style.bgy.split(/\s*,\s*/);
-      if (style.translate != null) {
-        let xyz = (style.translate.replace(/^none$/, '') + ' 0px 0px 0px').trim().split(/\s+/);
-        applyCssScroll = (x, y) => {
-          let bgx = style.bgx.map(v => `calc(${v} - ${x}px)`).join(', ');
-          let bgy = style.bgy.map(v => `calc(${v} - ${y}px)`).join(', ');
-          let css = {
-            runAt: 'document_start',
-            cssOrigin: 'user',
-            code: `
-              :root {
-                translate: calc(${xyz[0]} - ${x}px) calc(${xyz[1]} - ${y}px)
-                           ${xyz[2]} !important;
-                transition: none !important;
-                background-position-x: ${bgx} !important;
-                background-position-y: ${bgy} !important;
-              }
-            `,
-          };
-          return browser.tabs.insertCSS(tab.id, css).then(() => {
-            tasks.push(() => browser.tabs.removeCSS(tab.id, css));
+      } else {
+        // doesn't seem to support high dpi
+        return browser.tabs.sendMessage(tab.id, {
+          type: 'DrawWindow',
+          format: format[2],
+          quality: one_canvas ? quality : 100,
+          rect: rect,
+        });
+      }
+    };
+    const captureVisible = () => {
+      if (BROWSER_VERSION_MAJOR >= 82) {
+        return browser.tabs.captureTab(tab.id, {
+          format: format[1],
+          quality: one_canvas ? quality : 100,
+          scale: scl,
+        });
+      } else if (BROWSER_VERSION_MAJOR >= 59) {
+        return browser.tabs.captureTab(tab.id, {
+          format: format[1],
+          quality: one_canvas ? quality : 100,
+        });
+      } else {
+        return browser.tabs.captureVisibleTab(tab.windowId, {
+          format: format[1],
+          quality: one_canvas ? quality : 100,
+        });
+      }
+    };
+
+    // ways of capturing to try one after another
+    const host = GetSiteKey(tab.url);
+    const strategies = GetStrategies(prefs, host, (BROWSER_VERSION_MAJOR >= 82
+                                     || (scl == 1 && CanvasRenderingContext2D.prototype.drawWindow)));
+
+    const capture = async (strategy) => {
+      const use_native = strategy === 'native';
+      const use_css_croll = strategy === 'css_scroll';
+      const use_js_scroll = strategy === 'js_scroll';
+
+      console.info({one_canvas, use_native, use_css_croll, use_js_scroll, BROWSER_VERSION_MAJOR});
+
+      // XXX: scrolling can cause side effects
+      let use_scroll = use_css_croll || use_js_scroll;
+      let updateScrollPosition = null;
+
+      if (use_css_croll) {
+        let tasks = [() => browser.tabs.removeCSS(tab.id, css_reset)];
+        restoreScrollPosition = () => {
+          restoreScrollPosition = () => Promise.resolve();
+          return Promise.all(tasks.map(exec => exec())).then(() => {
+            return browser.tabs.executeScript(tab.id, {
+              runAt: 'document_start',
+              code: js_scroll_restore,
+            });
           });
         };
-      } else {
-        let toCSS = (x, y) => {
-          if (/\bmatrix(?:3d)?\b/.test(style.transform)) {
-            return style.transform.replace(
-              /\b(matrix(?:3d)?)\s*\(([^)]*)\)/,
-              (_, func, args) => {
-                let xyz = args.split(/\s*,\s*/);
-                switch (func) {
-                  case 'matrix':
-                    xyz[4] = `calc(${xyz[4]} - ${x}px)`;
-                    xyz[5] = `calc(${xyz[5]} - ${y}px)`;
-                    break;
-                  case 'matrix3d':
-                    xyz[12] = `calc(${xyz[12]} - ${x}px)`;
-                    xyz[13] = `calc(${xyz[13]} - ${y}px)`;
-                    break;
-                  default: throw new Error('toCSS');
+        // https://developer.mozilla.org/en-US/docs/Web/CSS/Cascade
+        let applyCssScroll = null;
+        // XXX: stuttering of background when scrollbar disappear?
+        //      setting min-width/height doesn't seem to work
+        let style = (await browser.tabs.executeScript(tab.id, {
+          runAt: 'document_start',
+          code: `{
+            let style = window.getComputedStyle(document.documentElement);
+            ({
+              translate: style.translate,
+              transform: style.transform,
+              bgx: style.backgroundPositionX,
+              bgy: style.backgroundPositionY,
+            })
+          }`,
+        }))[0];
+        style.bgx = style.bgx.split(/\s*,\s*/);
+        style.bgy = style.bgy.split(/\s*,\s*/);
+        if (style.translate != null) {
+          let xyz = (style.translate.replace(/^none$/, '') + ' 0px 0px 0px').trim().split(/\s+/);
+          applyCssScroll = (x, y) => {
+            let bgx = style.bgx.map(v => `calc(${v} - ${x}px)`).join(', ');
+            let bgy = style.bgy.map(v => `calc(${v} - ${y}px)`).join(', ');
+            let css = {
+              runAt: 'document_start',
+              cssOrigin: 'user',
+              code: `
+                :root {
+                  translate: calc(${xyz[0]} - ${x}px) calc(${xyz[1]} - ${y}px)
+                             ${xyz[2]} !important;
+                  transition: none !important;
+                  background-position-x: ${bgx} !important;
+                  background-position-y: ${bgy} !important;
                 }
-                return `${func}(${xyz.join(', ')})`;
-              }
-            );
-          } else {
-            return style.transform.replace(/^none$/, '') + ` translate(-${x}px, -${y}px)`;
-          }
-        };
-        applyCssScroll = (x, y) => {
-          let bgx = style.bgx.map(v => `calc(${v} - ${x}px)`).join(', ');
-          let bgy = style.bgy.map(v => `calc(${v} - ${y}px)`).join(', ');
-          let css = {
-            runAt: 'document_start',
-            cssOrigin: 'user',
-            code: `
-              :root {
-                transform: ${toCSS(x, y)} !important;
-                transition: none !important;
-                background-position-x: ${bgx} !important;
-                background-position-y: ${bgy} !important;
-              }
-            `,
+              `,
+            };
+            return browser.tabs.insertCSS(tab.id, css).then(() => {
+              tasks.push(() => browser.tabs.removeCSS(tab.id, css));
+            });
           };
-          return browser.tabs.insertCSS(tab.id, css).then(() => {
-            tasks.push(() => browser.tabs.removeCSS(tab.id, css));
-          });
-        };
-      }
-      let is_first = true;  // (sx, sy) is static, useless after scrolling
-      updateScrollPosition = async (x, y, w, h) => {
-        // _s[xy] is not clamped when exceeding scrollMax[XY]
-        let _sx = dir.x > 0 ? x : -(pw - x) + w;
-        let _sy = dir.y > 0 ? y : -(ph - y) + h;
-        if (is_first) {
-          is_first = false;
-          let no_scroll_x = dir.x > 0 ? (_sx >= sx && _sx + w <= sx + vw)
-                                      : (_sx <= sx && _sx - w >= sx - vw);
-          let no_scroll_y = dir.y > 0 ? (_sy >= sy && _sy + h <= sy + vh)
-                                      : (_sy <= sy && _sy - h >= sy - vh);
-          if (no_scroll_x && no_scroll_y) {
-            return {
-              x: dir.x > 0 ? _sx - sx : vw - (sx - _sx + w),
-              y: dir.y > 0 ? _sy - sy : vh - (sy - _sy + h),
+        } else {
+          let toCSS = (x, y) => {
+            if (/\bmatrix(?:3d)?\b/.test(style.transform)) {
+              return style.transform.replace(
+                /\b(matrix(?:3d)?)\s*\(([^)]*)\)/,
+                (_, func, args) => {
+                  let xyz = args.split(/\s*,\s*/);
+                  switch (func) {
+                    case 'matrix':
+                      xyz[4] = `calc(${xyz[4]} - ${x}px)`;
+                      xyz[5] = `calc(${xyz[5]} - ${y}px)`;
+                      break;
+                    case 'matrix3d':
+                      xyz[12] = `calc(${xyz[12]} - ${x}px)`;
+                      xyz[13] = `calc(${xyz[13]} - ${y}px)`;
+                      break;
+                    default: throw new Error('toCSS');
+                  }
+                  return `${func}(${xyz.join(', ')})`;
+                }
+              );
+            } else {
+              return style.transform.replace(/^none$/, '') + ` translate(-${x}px, -${y}px)`;
+            }
+          };
+          applyCssScroll = (x, y) => {
+            let bgx = style.bgx.map(v => `calc(${v} - ${x}px)`).join(', ');
+            let bgy = style.bgy.map(v => `calc(${v} - ${y}px)`).join(', ');
+            let css = {
+              runAt: 'document_start',
+              cssOrigin: 'user',
+              code: `
+                :root {
+                  transform: ${toCSS(x, y)} !important;
+                  transition: none !important;
+                  background-position-x: ${bgx} !important;
+                  background-position-y: ${bgy} !important;
+                }
+              `,
             };
-          }
-          await resetScrollPosition();
+            return browser.tabs.insertCSS(tab.id, css).then(() => {
+              tasks.push(() => browser.tabs.removeCSS(tab.id, css));
+            });
+          };
         }
-        await applyCssScroll(_sx, _sy);
-        return {
-          x: dir.x > 0 ? 0 : vw - w,
-          y: dir.y > 0 ? 0 : vh - h,
-        };
-      };
-    } else if (use_js_scroll) {
-      restoreScrollPosition = () => {
-        restoreScrollPosition = () => Promise.resolve();
-        return browser.tabs.executeScript(tab.id, {
-          runAt: 'document_start',
-          code: js_scroll_restore,
-        });
-      };
-      let is_first = true;  // (sx, sy) is static, useless after scrolling
-      updateScrollPosition = async (x, y, w, h) => {
-        // _s[xy] is not clamped when exceeding scrollMax[XY]
-        let _sx = dir.x > 0 ? x : -(pw - x) + w;
-        let _sy = dir.y > 0 ? y : -(ph - y) + h;
-        if (is_first) {
-          is_first = false;
-          let no_scroll_x = dir.x > 0 ? (_sx >= sx && _sx + w <= sx + vw)
-                                      : (_sx <= sx && _sx - w >= sx - vw);
-          let no_scroll_y = dir.y > 0 ? (_sy >= sy && _sy + h <= sy + vh)
-                                      : (_sy <= sy && _sy - h >= sy - vh);
-          if (no_scroll_x && no_scroll_y) {
-            return {
-              x: dir.x > 0 ? _sx - sx : vw - (sx - _sx + w),
-              y: dir.y > 0 ? _sy - sy : vh - (sy - _sy + h),
-            };
+        let is_first = true;  // (sx, sy) is static, useless after scrolling
+        updateScrollPosition = async (x, y, w, h) => {
+          // _s[xy] is not clamped when exceeding scrollMax[XY]
+          let _sx = dir.x > 0 ? x : -(pw - x) + w;
+          let _sy = dir.y > 0 ? y : -(ph - y) + h;
+          if (is_first) {
+            is_first = false;
+            let no_scroll_x = dir.x > 0 ? (_sx >= sx && _sx + w <= sx + vw)
+                                        : (_sx <= sx && _sx - w >= sx - vw);
+            let no_scroll_y = dir.y > 0 ? (_sy >= sy && _sy + h <= sy + vh)
+                                        : (_sy <= sy && _sy - h >= sy - vh);
+            if (no_scroll_x && no_scroll_y) {
+              return {
+                x: dir.x > 0 ? _sx - sx : vw - (sx - _sx + w),
+                y: dir.y > 0 ? _sy - sy : vh - (sy - _sy + h),
+              };
+            }
+            await resetScrollPosition();
           }
-        }
-        await resetScrollPosition();
-        return {
-          // full page ?
-          x: x <= pw - vw ? 0 : vw - w,
-          y: y <= ph - vh ? 0 : vh - h,
+          await applyCssScroll(_sx, _sy);
+          return {
+            x: dir.x > 0 ? 0 : vw - w,
+            y: dir.y > 0 ? 0 : vh - h,
+          };
         };
-      };
-    }
-
-    if (req.region === 'full' && !use_css_croll) {
-      if (!use_scroll && use_native) {
-        use_scroll = true;
+      } else if (use_js_scroll) {
         restoreScrollPosition = () => {
           restoreScrollPosition = () => Promise.resolve();
           return browser.tabs.removeCSS(tab.id, css_reset).then(() => {
@@ -351,178 +656,401 @@ async function TakeScreenshot(req, tab) {
             });
           });
         };
+        let is_first = true;  // (sx, sy) is static, useless after scrolling
+        updateScrollPosition = async (x, y, w, h) => {
+          // _s[xy] is not clamped when exceeding scrollMax[XY]
+          let _sx = dir.x > 0 ? x : -(pw - x) + w;
+          let _sy = dir.y > 0 ? y : -(ph - y) + h;
+          if (is_first) {
+            is_first = false;
+            let no_scroll_x = dir.x > 0 ? (_sx >= sx && _sx + w <= sx + vw)
+                                        : (_sx <= sx && _sx - w >= sx - vw);
+            let no_scroll_y = dir.y > 0 ? (_sy >= sy && _sy + h <= sy + vh)
+                                        : (_sy <= sy && _sy - h >= sy - vh);
+            if (no_scroll_x && no_scroll_y) {
+              return {
+                x: dir.x > 0 ? _sx - sx : vw - (sx - _sx + w),
+                y: dir.y > 0 ? _sy - sy : vh - (sy - _sy + h),
+              };
+            }
+            await resetScrollPosition();
+          }
+          // the scroll position is clamped, the tile is wherever it ends up
+          let [_x, _y] = (await browser.tabs.executeScript(tab.id, {
+            runAt: 'document_start',
+            code: `window.scrollTo(${_sx}, ${_sy}); [window.scrollX, window.scrollY]`,
+          }))[0];
+          return {
+            x: dir.x > 0 ? x - _x : x - (pw - vw + _x),
+            y: dir.y > 0 ? y - _y : y - (ph - vh + _y),
+          };
+        };
       }
-      await resetScrollPosition();
-    }
 
-    const [mw, mh] = (() => {
-      // XXX: browser.tab.captureTab and DrawWindow:
-      //      glitches happen on large capture area
-      //      happens when scl != window.devicePixelRatio ?
-      //      test page: https://en.wikipedia.org/wiki/Firefox
-      if (use_native) {
-        if (false && BROWSER_VERSION_MAJOR >= 82 && scl == window.devicePixelRatio) {
-          return [rw, rh].map(x => Math.min(x, limits[0]));
-        } else {
-          return [Math.min(rw, limits[0], 4095), Math.min(rh, limits[0], 16383)];
-        }
-      } else {
-        return [Math.min(vw, limits[0], 4095), Math.min(vh, limits[0], 16383)];
+      if (container) {
+        let restore = restoreScrollPosition;
+        restoreScrollPosition = () => {
+          restoreScrollPosition = () => Promise.resolve();
+          return browser.tabs.sendMessage(tab.id, {type: 'RestoreContainer'}).then(restore);
+        };
       }
-    })();
 
-    if (badge) {
-      await browserAction.setTitle({title: T$('badge_capturing'), tabId: tab.id});
-      await browserAction.setBadgeBackgroundColor({color: 'red', tabId: tab.id});
-    }
-    const jobs = new JobQueue();
-    const decoding = new JobQueue();
-    let count = Math.ceil(rw / mw) * Math.ceil(rh / mh);
-
-    for (let y = 0; y < rh; y += mh) {
-      let h = (y + mh <= rh ? mh : rh - y);
-      for (let x = 0; x < rw; x += mw) {
-        let w = (x + mw <= rw ? mw : rw - x);
-        let left = req.left + x;
-        let top = req.top + y;
-        if (badge) {
-          jobs.push(() => {
-            // no waiting since capturing is in serial order; unimportant text
-            browserAction.setBadgeText({text: String(count--), tabId: tab.id});
-          });
+      if (req.region === 'full' && !use_css_croll) {
+        if (!use_scroll && use_native) {
+          use_scroll = true;
+          restoreScrollPosition = () => {
+            restoreScrollPosition = () => Promise.resolve();
+            return browser.tabs.removeCSS(tab.id, css_reset).then(() => {
+              return browser.tabs.executeScript(tab.id, {
+                runAt: 'document_start',
+                code: js_scroll_restore,
+              });
+            });
+          };
         }
-        let pos = null, img = new Image();
-        if (use_native) {
-          let _sx = dir.x > 0 ? left : Math.min(-(pw - left) + vw, vw - w);
-          let _sy = dir.y > 0 ? top : Math.min(-(ph - top) + vh, vh - h);
-          pos = {x: 0, y: 0};
-          if (BROWSER_VERSION_MAJOR >= 82) {
-            let opts = {
-              format: format[1],
-              quality: one_canvas ? quality : 100,
-              rect: {x: _sx, y: _sy, width: w, height: h},
-              scale: scl,
-            };
-            jobs.push(() => browser.tabs.captureTab(tab.id, opts));
+        await resetScrollPosition();
+      }
+
+      let [mw, mh] = (() => {
+        // XXX: browser.tab.captureTab and DrawWindow:
+        //      glitches happen on large capture area
+        //      happens when scl != window.devicePixelRatio ?
+        //      test page: https://en.wikipedia.org/wiki/Firefox
+        if (container) {
+          return [Math.min(container.width, limits[0], 4095),
+                  Math.min(container.height, limits[0], 16383)];
+        } else if (use_native) {
+          if (false && BROWSER_VERSION_MAJOR >= 82 && scl == window.devicePixelRatio) {
+            return [rw, rh].map(x => Math.min(x, limits[0]));
           } else {
-            // doesn't seem to support high dpi
-            let opts = {
-              type: 'DrawWindow',
-              format: format[2],
-              quality: one_canvas ? quality : 100,
-              rect: {x: _sx, y: _sy, width: w, height: h},
-            };
-            jobs.push(() => browser.tabs.sendMessage(tab.id, opts));
+            return [Math.min(rw, limits[0], 4095), Math.min(rh, limits[0], 16383)];
           }
         } else {
-          let args = [left, top, w, h];
-          jobs.push(async () => pos = await updateScrollPosition(...args));
-          if (BROWSER_VERSION_MAJOR >= 59) {
-            jobs.push(() => browser.tabs.captureTab(tab.id, {
-              format: format[1],
-              quality: one_canvas ? quality : 100,
-            }));
-          } else {
-            jobs.push(() => browser.tabs.captureVisibleTab(tab.windowId, {
-              format: format[1],
-              quality: one_canvas ? quality : 100,
-            }));
-          }
+          return [Math.min(vw, limits[0], 4095), Math.min(vh, limits[0], 16383)];
         }
-        let args = [x, y, w, h];
-        jobs.push(url => {
-          decoding.push(() => {
-            img._decoded = img.decode ? {
-              then: (func) => img.decode().then(func),
-            } : new Promise((resolve, reject) => {
-              img.onload = function OnLoad$() {
-                return img.complete ? resolve() : setTimeout(OnLoad$, 0);
-              };
-              img.onerror = reject;
+      })();
+      if (tiff) {
+        // a band of rows is at most 64 MiB
+        mh = Math.max(1, Math.min(mh, Math.trunc((1 << 26) / (captureWidth * 4 * scl))));
+      }
+
+      const jobs = new JobQueue();
+      const decoding = new JobQueue();
+      let count = Math.ceil(rw / mw) * Math.ceil(rh / mh);
+
+      status.expect('capturing', count);
+      status.expect('decoding', count);
+      if (tiff) {
+        status.expect('encoding', captureHeight);
+      }
+      await status.begin('capturing');
+
+      // WTF: animation sucks your eyeballs out during multiple screen captures
+      if (count > 1) {
+        await browser.tabs.insertCSS(tab.id, css_freeze);
+        await browser.tabs.sendMessage(tab.id, {type: 'FreezePage'});
+        let restore = restoreScrollPosition;
+        restoreScrollPosition = () => {
+          restoreScrollPosition = () => Promise.resolve();
+          return Promise.all([
+            browser.tabs.removeCSS(tab.id, css_freeze),
+            browser.tabs.sendMessage(tab.id, {type: 'UnfreezePage'}),
+          ]).then(() => restore(), (err) => restore().then(() => abort(err)));
+        };
+      }
+
+      for (let y = 0; y < rh; y += mh) {
+        let h = (y + mh <= rh ? mh : rh - y);
+        let band = {data: null, rows: Math.trunc(h * scl)};
+        for (let x = 0; x < rw; x += mw) {
+          let w = (x + mw <= rw ? mw : rw - x);
+          let left = req.left + x;
+          let top = req.top + y;
+          let pos = null, img = new Image();
+          // scrolls to the tile if needed, then captures it
+          let shoot = null;
+          if (container) {
+            // offset of (left, top) from the top left corner of the visible area
+            let scrollContainer = () => browser.tabs.sendMessage(tab.id, {
+              type: 'ScrollContainer',
+              x: left,
+              y: top,
             });
-            img.src = url;
-            return img._decoded.then(() => {
-              let [x, y, w, h] = args;
-              if (one_canvas) {
-                content.drawImage(img, pos.x * scl, pos.y * scl, w * scl, h * scl,
-                                           x * scl,     y * scl, w * scl, h * scl);
-                //DebugDraw(ctx, {x, y, w, h, scl});
-              } else {
-                let canvas = document.createElement('canvas');
-                let ctx = canvas.getContext('2d', {alpha: false});
-                canvas.width = Math.trunc(w * scl);
-                canvas.height = Math.trunc(h * scl);
-                ctx.drawImage(img, pos.x * scl, pos.y * scl, w * scl, h * scl,
-                                             0,           0, w * scl, h * scl);
-                //DebugDraw(ctx, {x:0, y:0, w, h, scl});
-                if (x == 0 && w == rw) {
-                  content.set(ctx.getImageData(0, 0, w * scl, h * scl).data,
-                              y * rw * scl * 4);
+            if (use_native) {
+              shoot = async () => {
+                let offset = await scrollContainer();
+                pos = {x: 0, y: 0};
+                return captureRect({
+                  x: container.left + offset.x,
+                  y: container.top + offset.y,
+                  width: w,
+                  height: h,
+                });
+              };
+            } else {
+              shoot = async () => {
+                let offset = await scrollContainer();
+                pos = {x: container.cx + offset.x, y: container.cy + offset.y};
+                return captureVisible();
+              };
+            }
+          } else if (use_native) {
+            let _sx = dir.x > 0 ? left : Math.min(-(pw - left) + vw, vw - w);
+            let _sy = dir.y > 0 ? top : Math.min(-(ph - top) + vh, vh - h);
+            shoot = () => {
+              pos = {x: 0, y: 0};
+              return captureRect({x: _sx, y: _sy, width: w, height: h});
+            };
+          } else {
+            shoot = async () => {
+              pos = await updateScrollPosition(left, top, w, h);
+              return captureVisible();
+            };
+          }
+          // a transient failure or a glitch is often gone the next time
+          jobs.push(() => Retry(async () => {
+            let url = await shoot();
+            // from the data, or else from the decoded image
+            let size = ImageSize(url) || await DecodedImageSize(url);
+            // only an area of the page is exactly the size of the tile, the
+            // visible area has the tile somewhere in it
+            let [ew, eh] = [w, h].map(v => Math.trunc(v * scl));
+            let [tw, th] = [(pos.x + w) * scl, (pos.y + h) * scl].map(Math.trunc);
+            if (use_native ? Math.abs(size.width - ew) > 1 || Math.abs(size.height - eh) > 1
+                           : IsBrokenTile(size, tw, th)) {
+              abort(`tile at (${x}, ${y}) is ${size.width}x${size.height} instead of ` +
+                    (use_native ? `${ew}x${eh}` : `at least ${tw}x${th}`));
+            }
+            return url;
+          }, {signal}));
+          let args = [x, y, w, h];
+          jobs.push(url => {
+            // no waiting since capturing is in serial order; unimportant text
+            status.advance('capturing');
+            decoding.push(() => {
+              img._decoded = img.decode ? {
+                then: (func) => img.decode().then(func),
+              } : new Promise((resolve, reject) => {
+                img.onload = function OnLoad$() {
+                  return img.complete ? resolve() : setTimeout(OnLoad$, 0);
+                };
+                img.onerror = reject;
+              });
+              img.src = url;
+              return img._decoded.then(() => {
+                let [x, y, w, h] = args;
+                if (one_canvas) {
+                  content.drawImage(img, pos.x * scl, pos.y * scl, w * scl, h * scl,
+                                             x * scl,     y * scl, w * scl, h * scl);
+                  //DebugDraw(ctx, {x, y, w, h, scl});
                 } else {
-                  for (let i = 0; i < h * scl; i++) {
-                    content.set(ctx.getImageData(0, i, w * scl, 1).data,
-                                ((y + i) * rw * scl + x) * 4);
+                  let canvas = document.createElement('canvas');
+                  let ctx = canvas.getContext('2d', {alpha: false});
+                  canvas.width = Math.trunc(w * scl);
+                  canvas.height = Math.trunc(h * scl);
+                  ctx.drawImage(img, pos.x * scl, pos.y * scl, w * scl, h * scl,
+                                               0,           0, w * scl, h * scl);
+                  //DebugDraw(ctx, {x:0, y:0, w, h, scl});
+                  if (tiff) {
+                    if (!band.data) {
+                      band.data = new Uint8Array(captureWidth * band.rows * 4);
+                    }
+                    for (let i = 0; i < band.rows; i++) {
+                      band.data.set(ctx.getImageData(0, i, w * scl, 1).data,
+                                    (i * captureWidth + Math.trunc(x * scl)) * 4);
+                    }
+                  } else if (x == 0 && w == rw) {
+                    // the offsets are in pixels of the image, the scale may
+                    // not be a whole number
+                    content.set(ctx.getImageData(0, 0, canvas.width, canvas.height).data,
+                                Math.trunc(y * scl) * captureWidth * 4);
+                  } else {
+                    for (let i = 0; i < canvas.height; i++) {
+                      content.set(ctx.getImageData(0, i, canvas.width, 1).data,
+                                  ((Math.trunc(y * scl) + i) * captureWidth + Math.trunc(x * scl)) * 4);
+                    }
                   }
                 }
-              }
+                status.advance('decoding');
+              });
             });
           });
+        }
+        if (tiff) {
+          // write out the band before capturing the next one
+          jobs.push(async () => {
+            await decoding.serial(signal);
+            await tiff.append(band.data, band.rows);
+            status.advance('encoding', band.rows);
+          });
+        }
+      }
+      await jobs.serial(signal).then(restoreScrollPosition);
+      if (!tiff) {
+        await status.begin('decoding');
+      }
+      await decoding.parallel();
+    };
+
+    let strategy = null;
+    for (let i = 0; i < strategies.length; i++) {
+      try {
+        await capture(strategies[i]);
+      } catch (err) {
+        if (signal.aborted || i + 1 >= strategies.length) {
+          throw err;
+        }
+        console.warn(strategies[i], err);
+        await restoreScrollPosition().catch(ignore);
+        progress(T$('warningStrategyFallback', T$('strategy_' + strategies[i]),
+                                               T$('strategy_' + strategies[i + 1])));
+        // start over with a new image
+        if (tiff) {
+          tiff.close();
+          tiff = new TiffWriter({width: tiff.width, compression: tiff.compression});
+        }
+        continue;
+      }
+      strategy = strategies[i];
+      // start with what works next time
+      if (i > 0) {
+        let {site_strategies} = await Storage.get();
+        await Storage.set({
+          site_strategies: Object.assign({}, site_strategies, {[host]: strategies[i]}),
         });
       }
+      break;
     }
-    await jobs.serial().then(restoreScrollPosition);
 
-    if (badge) {
-      await browserAction.setTitle({title: T$('badge_saving'), tabId: tab.id});
-      await browserAction.setBadgeText({text: '...', tabId: tab.id});
-      await browserAction.setBadgeBackgroundColor({color: 'green', tabId: tab.id});
-    }
-    await browserAction.enable(tab.id);
-    mutex.unlock(key);
+    await status.begin('encoding');
+    leave();
 
-    await decoding.parallel();
-    if (one_canvas) {
-      content = await (await fetch(content.canvas.toDataURL())).arrayBuffer();
+    if (resample && !tiff) {
+      let data = content;
+      if (one_canvas) {
+        data = new Uint8Array(content.getImageData(0, 0, captureWidth, captureHeight).data.buffer);
+      }
+      data = await RunWorker('lib/worker-resample.js', {
+        data: data,
+        width: captureWidth,
+        height: captureHeight,
+        new_width: totalWidth,
+        new_height: totalHeight,
+      }, 1000 * 60 * 15, signal);
+      if (one_canvas) {
+        let canvas = document.createElement('canvas');
+        canvas.width = totalWidth;
+        canvas.height = totalHeight;
+        content = canvas.getContext('2d', {alpha: false});
+        content.putImageData(new ImageData(new Uint8ClampedArray(data.buffer),
+                                           totalWidth, totalHeight), 0, 0);
+      } else {
+        content = data;
+      }
+    }
+    const filters = GetFilters(prefs);
+    if (filters.length && !tiff) {
+      // the canvas has all filters but sharpening, which comes last
+      let css = filters.filter(step => step.css).map(step => step.css);
+      let steps = one_canvas ? filters.filter(step => !step.css) : filters;
+      if (one_canvas && css.length) {
+        let canvas = document.createElement('canvas');
+        canvas.width = totalWidth;
+        canvas.height = totalHeight;
+        let ctx = canvas.getContext('2d', {alpha: false});
+        ctx.filter = css.join(' ');
+        ctx.drawImage(content.canvas, 0, 0);
+        content = ctx;
+      }
+      if (steps.length) {
+        let data = content;
+        if (one_canvas) {
+          data = new Uint8Array(content.getImageData(0, 0, totalWidth, totalHeight).data.buffer);
+        }
+        data = await RunWorker('lib/worker-filter.js', {
+          data: data,
+          width: totalWidth,
+          height: totalHeight,
+          steps: steps,
+        }, 1000 * 60 * 15, signal);
+        if (one_canvas) {
+          content.putImageData(new ImageData(new Uint8ClampedArray(data.buffer),
+                                             totalWidth, totalHeight), 0, 0);
+        } else {
+          content = data;
+        }
+      }
+    }
+    let webp = null;
+    if (one_canvas && format[0] === 'webp' && !prefs.webp_lossless) {
+      // PNG comes out where the canvas has no WebP encoder
+      webp = content.canvas.toDataURL('image/webp', quality / 100);
+      webp = webp.startsWith('data:image/webp') ? webp : null;
+    }
+    if (tiff) {
+      content = await tiff.finish({
+        description: metadata ? metadata.description : '',
+        software: 'SaveScreenshot for Firefox',
+        scale: out,
+      });
+    } else if (webp) {
+      content = await (await fetch(webp)).arrayBuffer();
+    } else if (one_canvas && format[1] === 'jpeg') {
+      content = await (await fetch(content.canvas.toDataURL('image/jpeg', quality / 100))).arrayBuffer();
     } else {
+      if (one_canvas) {
+        // PNG, lossless WebP, PDF and HTML get the same encoders as large images
+        content = new Uint8Array(content.getImageData(0, 0, totalWidth, totalHeight).data.buffer);
+      }
+      if (format[0] === 'webp' && !prefs.webp_lossless) {
+        // our own encoder only writes lossless WebP
+        progress(T$('warningImageWebpLossless', filename));
+      }
       const lock_time = 1000 * 60 * 15;
-      // worker is often cpu hog, just one is enough
-      if (!(await mutex.lock('worker', {retry: false, lock_time}))) {
-        notify(T$('warningWorkerBusy'), {id: nid});
-        await mutex.lock('worker', {lock_time});
-        if (badge) {
-          await browserAction.setTitle({title: T$('badge_saving'), tabId: tab.id});
-          await browserAction.setBadgeText({text: '...', tabId: tab.id});
-          await browserAction.setBadgeBackgroundColor({color: 'green', tabId: tab.id});
-        }
+      if (encoders.busy) {
+        progress(T$('warningWorkerBusy'));
       }
+      release = await encoders.enter(nid, info, signal);
 //console.time('worker');
       // TODO: optional wasm support
-      let worker = new Worker(
-        format[1] === 'jpeg' ? 'lib/worker-jpeg.js' : 'lib/worker-png.js'
-      );
-      // use worker to avoid blocking other extensions
-      content = await new Promise((resolve, reject) => {
-        worker.onerror = (event) => reject(event);
-        worker.onmessage = (event) => resolve(event.data);
-        worker.postMessage({
+      content = await RunWorker(
+        format[0] === 'webp' ? 'lib/worker-webp.js' :
+        format[0] === 'pdf' ? 'lib/worker-pdf.js' :
+        format[1] === 'jpeg' ? 'lib/worker-jpeg.js' : 'lib/worker-png.js',
+        {
           data: content,
           width: totalWidth,
           height: totalHeight,
           quality: quality,
-        });
-        setTimeout(reject, lock_time, 'timeout');
-      }).catch(err => {
-        abort(err);
-      }).finally(() => {
-        worker.terminate();
-        mutex.unlock('worker');
+          colors: prefs.png_colors,
+          pdf: format[0] !== 'pdf' ? null : {
+            page: prefs.pdf_page,
+            margin: prefs.pdf_margin,
+            overlap: Math.round(prefs.pdf_overlap * out),
+            scale: out,
+            jpeg: prefs.pdf_jpeg,
+            info: {
+              producer: 'SaveScreenshot for Firefox',
+              date: date.getTime(),
+              title: tab.title,
+              url: tab.url,
+            },
+          },
+        },
+        lock_time,
+        signal,
+        (fraction) => status.set('encoding', fraction)
+      ).finally(() => {
+        release();
       });
 //console.timeEnd('worker');
     }
 
     // Handle copy to clipboard
     if (req.format === 'copy') {
+      await status.begin('saving');
       await browser.clipboard.setImageData(content, format[1]);
+      saved = true;
       if (prefs.copynotification) {
         notify(T$('info_screenshot_copied'), {id: nid});
       }
@@ -530,81 +1058,128 @@ async function TakeScreenshot(req, tab) {
 
     // All other data formats have to be handled as downloads
     else {
-      // Add image comment if we are allowed to
-      if (prefs.image_comment) {
-        content = await ApplyImageComment(content, tab.title, tab.url);
+      // the size of the pixels, for viewers to show the image at CSS size
+      if (['png', 'jpg'].includes(format[0])) {
+        await status.begin('metadata');
+        content = ApplyImageProperties(content, {scale: out, profile: prefs.color_profile});
+      }
+
+      // links in the image, with their boxes in CSS pixels
+      const links = req.links && req.links.length ? {
+        url: tab.url,
+        title: tab.title,
+        width: rw,
+        height: rh,
+        scale: out,
+        links: req.links,
+      } : null;
+      if (links && format[0] === 'png') {
+        await status.begin('metadata');
+        content = ApplyPNGText(content, 'Links', JSON.stringify(links));
       }
 
-      // The method "open" requires a temporary <a> hyperlink whose creation and
-      // handling has to be offloaded to our content script
-      if (prefs.savemethod === 'open') {
-        await browser.tabs.sendMessage(tab.id, {
-          type: 'TriggerOpen',
-          content: new Blob([content], {type: format[2]}),
-          filename: filename,
+      // Add image comment if we are allowed to
+      if (metadata && ['png', 'jpg'].includes(format[0])) {
+        await status.begin('metadata');
+        content = await ApplyImageComment(content, metadata, {
+          png: prefs.metadata_png,
+          jpeg_com: prefs.metadata_jpeg_com,
+          exif: prefs.metadata_exif,
         });
       }
-      // All other download types are handled with the "browser.downloads" API
-      else {
-        let url = URL.createObjectURL(new Blob([content], {type: format[2]}));
-        let options = {
-          filename: prefs.targetdir ? prefs.targetdir + '/' + filename: filename,
-          url: url,
-          saveAs: (prefs.savemethod === 'saveas')
-        };
 
-        const downloads = new Map();
-        downloads.promise = new Promise((resolve, reject) => {
-          downloads.resolve = resolve;
-          downloads.reject = reject;
+      // what is known about the screenshot, as evidence that it is unaltered
+      const manifest = prefs.manifest_sidecar || prefs.manifest_embed ? await Manifest(tab, req, {
+        date: date,
+        format: format[0],
+        strategy: strategy,
+        scale: out,
+        width: totalWidth,
+        height: totalHeight,
+      }) : null;
+      if (manifest && prefs.manifest_embed && ['png', 'jpg'].includes(format[0])) {
+        // it can't have the hash of the image it is in, nor the name the image
+        // is saved with
+        await status.begin('metadata');
+        content = ApplyImageText(content, 'Manifest', JSON.stringify(manifest));
+      }
+
+      // the PNG image goes into the page with what is known about it
+      if (format[0] === 'html') {
+        await status.begin('metadata');
+        content = await Report(content, tab, req, {
+          date: date,
+          scale: out,
+          width: totalWidth,
+          height: totalHeight,
         });
-        const OnDownload$ = (delta) => {
-          if (delta.state && downloads.has(delta.id)) {
-            if (delta.state.current === 'complete') {
-              URL.revokeObjectURL(downloads.get(delta.id).url);
-              downloads.delete(delta.id);
-              if (downloads.size === 0) {
-                downloads.resolve();
-              }
-            } else if (delta.state.current === 'interrupted') {
-              URL.revokeObjectURL(downloads.get(delta.id).url);
-              downloads.reject();
-            }
-          }
-        };
-        // Download change listener.
-        // Used to create a notification in the "non prompting" mode, so the user knows
-        // that his screenshot has been created. Also handles cleanup after download.
-        browser.downloads.onChanged.addListener(OnDownload$);
+      }
 
-        try {
-          // Trigger download
-          let download_id = await browser.downloads.download(options);
+      await status.begin('saving');
 
-          // Store download options for usage in "onChanged".
-          downloads.set(download_id, options);
-          await downloads.promise;
+      // of the bytes as they are saved
+      const sha256 = manifest && prefs.manifest_sidecar ? await SHA256(content) : null;
 
-          // When saving without prompting, then trigger notification
-          const prefs = await Storage.get();
-          if (!options.saveAs && prefs.savenotification) {
-            notify(T$('info_screenshot_saved') + '\n' + options.filename, {id: nid});
+      filename = await SaveFile(tab, prefs, content, format[2], filename);
+      saved = true;
+      // the files next to the image are named after the name it is saved
+      // with, which may not be the one asked for
+      const saved = FileBaseName(filename);
+      const stem = saved.substring(0, saved.lastIndexOf('.'));
+      // the image is saved, the files next to it failing doesn't undo that
+      let sidecar_error = null;
+      try {
+        if (links) {
+          // only images shown by browsers can have a page with an image map
+          if (['png', 'jpg', 'webp'].includes(format[0])) {
+            await SaveSidecar(tab, prefs, await LinkMap(content, format[2], links), 'text/html',
+                              stem + '.html');
           }
-        } catch (err) {
-          abort(err);
-        } finally {
-          // Free memory used for our "blob URL"
-          URL.revokeObjectURL(options.url);
-          browser.downloads.onChanged.removeListener(OnDownload$);
+          // PNG images have the links inside
+          if (format[0] !== 'png') {
+            await SaveSidecar(tab, prefs, JSON.stringify(links, null, 2), 'application/json',
+                              stem + '.links.json');
+          }
+        }
+        if (sha256) {
+          const sidecar = Object.assign({file: saved, sha256: sha256}, manifest);
+          await SaveSidecar(tab, prefs, JSON.stringify(sidecar, null, 2), 'application/json', saved + '.json');
         }
+        if (metadata && prefs.metadata_sidecar.length) {
+          await SaveSidecar(tab, prefs, FormatMetadataText(PickMetadata(metadata, prefs.metadata_sidecar)),
+                            'text/plain', stem + '.txt');
+        }
+      } catch (err) {
+        console.error(err);
+        sidecar_error = err;
+      }
+      if (sidecar_error) {
+        alarm(`${T$('errorSidecarFailed', filename)}\nReason: ${sidecar_error}`, {id: nid});
+      } else if (prefs.savemethod === 'save' && prefs.savenotification && !req.batch) {
+        notify(T$('info_screenshot_saved') + '\n' + filename, {id: nid});
       }
     }
   } catch (err) {
-    console.error(err);
-    alarm(`Failed to generate ${filename}\nReason: ${err}`, {id: nid});
+    if (signal.aborted) {
+      notify(T$('info_cancelled'), {id: nid});
+    } else {
+      console.error(err);
+      alarm(`Failed to generate ${filename}\nReason: ${err}`, {id: nid});
+    }
     restoreScrollPosition().catch(ignore);
   } finally {
-    if (await mutex.lock(key, {retry: false})) {
+    if (tiff) {
+      tiff.close();
+    }
+    if (leave) {
+      leave();
+    }
+    if (release) {
+      release();
+    }
+    status.close();
+    await RemoveCancel(tab.id, nid);
+    if (!captures.has(key)) {
       if (badge) {
         await browserAction.setTitle({title: '', tabId: tab.id});
         await browserAction.setBadgeText({text: '', tabId: tab.id});
@@ -614,12 +1189,575 @@ async function TakeScreenshot(req, tab) {
           await browserAction.setBadgeBackgroundColor({color: '', tabId: tab.id});
         }
       }
-      await browserAction.enable(tab.id);
-      mutex.unlock(key);
     }
-    mutex.unlock('worker');
+  }
+  return saved;
+}
+
+// Saves the page with its text as Firefox prints it (region "print"); the
+// file is always saved with a dialog, in the directory chosen there
+async function SaveAsPDF(req, tab) {
+  const BROWSER_VERSION_MAJOR = parseInt((await browser.runtime.getBrowserInfo()).version, 10);
+  const badge = ['setTitle', 'setBadgeText', 'setBadgeBackgroundColor'].every(x => {
+    return x in browserAction;
+  });
+
+  const key = 'browserAction-' + tab.id;
+  const nid = String(Date.now());
+  const controller = new AbortController();
+  const signal = controller.signal;
+  let leave = null;
+  try {
+    await AddCancel(tab.id, nid, controller);
+    leave = await captures.enter(key, {
+      id: nid,
+      tab: tab.id,
+      title: tab.title,
+      region: 'print',
+      format: 'pdf',
+    }, signal);
+
+    const prefs = await Storage.get();
+    const delay = req.delay != null ? req.delay : prefs.delay;
+    if (delay > 0) {
+      await Countdown(tab, delay, badge, signal);
+    }
+
+    // margins and sizes in inches (paperSizeUnit 0) or millimeters (1)
+    const paper = {
+      a4: {paperSizeUnit: 1, paperWidth: 210, paperHeight: 297},
+      letter: {paperSizeUnit: 0, paperWidth: 8.5, paperHeight: 11},
+    }[prefs.print_paper];
+    // &T: title, &U: URL, &D: date and time, &PT: page number and total
+    const headers = prefs.print_headers ? {
+      headerLeft: '&T', headerCenter: '', headerRight: '&U',
+      footerLeft: '&PT', footerCenter: '', footerRight: '&D',
+    } : {
+      headerLeft: '', headerCenter: '', headerRight: '',
+      footerLeft: '', footerCenter: '', footerRight: '',
+    };
+    const settings = Object.assign({
+      orientation: prefs.print_orientation === 'landscape' ? 1 : 0,
+      shrinkToFit: true,
+      showBackgroundColors: prefs.print_background,
+      showBackgroundImages: prefs.print_background,
+    }, paper, headers);
+    if (BROWSER_VERSION_MAJOR >= 81) {
+      settings.toFileName = GetDefaultFileName('saved_page', tab, prefs.filenameformat) + '.pdf';
+    }
+    // only the active tab of the window can be saved, the user may have gone
+    // to another one while waiting
+    const [active] = await browser.tabs.query({active: true, lastFocusedWindow: true});
+    if (!active || active.id !== tab.id) {
+      alarm(T$('errorPrintInactive'), {id: nid});
+      return;
+    }
+    const status = await browser.tabs.saveAsPDF(settings);
+    if (status === 'not_saved' || status === 'not_replaced') {
+      alarm(T$('errorPrintFailed'), {id: nid});
+    }
+  } catch (err) {
+    if (signal.aborted) {
+      notify(T$('info_cancelled'), {id: nid});
+    } else {
+      console.error(err);
+      alarm(T$('errorPrintFailed'), {id: nid});
+    }
+  } finally {
+    if (leave) {
+      leave();
+    }
+    await RemoveCancel(tab.id, nid);
+    if (!captures.has(key) && badge) {
+      await browserAction.setTitle({title: '', tabId: tab.id});
+      await browserAction.setBadgeText({text: '', tabId: tab.id});
+      try {
+        await browserAction.setBadgeBackgroundColor({color: null, tabId: tab.id});
+      } catch (err) {
+        await browserAction.setBadgeBackgroundColor({color: '', tabId: tab.id});
+      }
+    }
+  }
+}
+
+// Saves a file with the method of the settings, resolves with its path once
+// it is saved, as the browser may have renamed it or the user may have chosen
+// another one
+async function SaveFile(tab, prefs, content, type, filename, saveAs = prefs.savemethod === 'saveas') {
+  // The method "open" requires a temporary <a> hyperlink whose creation and
+  // handling has to be offloaded to our content script
+  if (prefs.savemethod === 'open') {
+    await browser.tabs.sendMessage(tab.id, {
+      type: 'TriggerOpen',
+      content: new Blob([content], {type: type}),
+      filename: filename,
+    });
+    return filename;
+  }
+
+  // All other download types are handled with the "browser.downloads" API
+  let url = URL.createObjectURL(new Blob([content], {type: type}));
+  let options = {
+    filename: prefs.targetdir ? prefs.targetdir + '/' + filename: filename,
+    url: url,
+    saveAs: saveAs
+  };
+
+  const downloads = new Map();
+  downloads.promise = new Promise((resolve, reject) => {
+    downloads.resolve = resolve;
+    downloads.reject = reject;
+  });
+  const OnDownload$ = (delta) => {
+    if (delta.state && downloads.has(delta.id)) {
+      if (delta.state.current === 'complete') {
+        URL.revokeObjectURL(downloads.get(delta.id).url);
+        downloads.delete(delta.id);
+        if (downloads.size === 0) {
+          downloads.resolve();
+        }
+      } else if (delta.state.current === 'interrupted') {
+        URL.revokeObjectURL(downloads.get(delta.id).url);
+        downloads.reject();
+      }
+    }
+  };
+  // Download change listener, handles cleanup after download.
+  browser.downloads.onChanged.addListener(OnDownload$);
+
+  try {
+    // Trigger download
+    let download_id = await browser.downloads.download(options);
+
+    // Store download options for usage in "onChanged".
+    downloads.set(download_id, options);
+    await downloads.promise;
+    const [item] = await browser.downloads.search({id: download_id});
+    return item ? item.filename : options.filename;
+  } catch (err) {
+    abort(err);
+  } finally {
+    // Free memory used for our "blob URL"
+    URL.revokeObjectURL(options.url);
+    browser.downloads.onChanged.removeListener(OnDownload$);
+  }
+}
+
+// Saves a file that goes with a saved image, without asking for its name again
+async function SaveSidecar(tab, prefs, content, type, filename) {
+  return SaveFile(tab, prefs, content, type, filename, false);
+}
+
+// Name of a saved file without its directory
+function FileBaseName(path) {
+  return path.substring(Math.max(path.lastIndexOf('/'), path.lastIndexOf('\\')) + 1);
+}
+
+// Metadata of the screenshot, with the comment from the template of the
+// settings
+async function GetMetadata(req, tab, prefs, {date, width, height, scale}) {
+  const browser_info = await browser.runtime.getBrowserInfo();
+  return {
+    title: tab.title,
+    url: tab.url,
+    date: date,
+    description: FormatComment(prefs.comment_template, {
+      date: date,
+      title: tab.title,
+      url: tab.url,
+      region: req.region,
+      vw: req.vw,
+      vh: req.vh,
+      pw: req.pw,
+      ph: req.ph,
+      sx: req.scroll.sx,
+      sy: req.scroll.sy,
+      scale: req.scale,
+      useragent: navigator.userAgent,
+      browser: `${browser_info.name} ${browser_info.version}`,
+      note: req.note,
+    }),
+    artist: prefs.image_artist,
+    copyright: prefs.image_copyright,
+    width: width,
+    height: height,
+    scale: scale,
+  };
+}
+
+// Hexadecimal SHA-256 hash of the data
+async function SHA256(content) {
+  const data = await new Blob([content]).arrayBuffer();
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Parameters of the screenshot, saved next to it with its hash or in it
+async function Manifest(tab, req, {date, format, strategy, scale, width, height}) {
+  const browser_info = await browser.runtime.getBrowserInfo();
+  return {
+    url: tab.url,
+    title: tab.title,
+    date: {
+      utc: date.toISOString(),
+      local: FormatDateTime(date),
+    },
+    region: {
+      name: req.region,
+      left: req.left,
+      top: req.top,
+      width: req.width,
+      height: req.height,
+    },
+    viewport: {width: req.vw, height: req.vh},
+    page: {width: req.pw, height: req.ph},
+    scale: {device: req.scale, image: scale},
+    image: {format, width, height},
+    strategy: strategy,
+    browser: `${browser_info.name} ${browser_info.version}`,
+    software: `${SOFTWARE} ${browser.runtime.getManifest().version}`,
+  };
+}
+
+// Self-contained page of a PNG image, with the page it is taken from, the
+// parameters of the screenshot and the note of the user
+async function Report(content, tab, req, {date, scale, width, height}) {
+  const image = await DataURL(content, 'image/png');
+  const rows = [
+    ['Title', tab.title],
+    ['URL', tab.url],
+    ['Date', date.toString()],
+    ['Region', `${req.region} (${req.left}, ${req.top}; ${req.width} × ${req.height})`],
+    ['Viewport', `${req.vw} × ${req.vh}`],
+    ['Page', `${req.pw} × ${req.ph}`],
+    ['Device pixel ratio', req.scale],
+    ['Image', `${width} × ${height} (scale ${Math.round(scale * 1000) / 1000})`],
+  ];
+  // the image data is not copied into yet another string
+  return new Blob([
+    [
+      '<!DOCTYPE html>',
+      '<html>',
+      '<head>',
+      '  <meta charset="utf-8">',
+      `  <title>${EscapeHTML(tab.title)}</title>`,
+      '  <style>',
+      '    th { text-align: left; padding-right: 1em; }',
+      '    .note { white-space: pre-wrap; }',
+      '    img { max-width: 100%; height: auto; border: 1px solid #ccc; }',
+      '  </style>',
+      '</head>',
+      '<body>',
+      `  <h1>${EscapeHTML(tab.title)}</h1>`,
+      `  <p><a href="${EscapeHTML(tab.url)}">${EscapeHTML(tab.url)}</a></p>`,
+      req.note ? `  <p class="note">${EscapeHTML(req.note)}</p>` : '',
+      '  <table>',
+      ...rows.map(([name, value]) => `    <tr><th>${name}</th><td>${EscapeHTML(value)}</td></tr>`),
+      '  </table>',
+      `  <p><img width="${req.width}" height="${req.height}" alt="${EscapeHTML(tab.title)}" src="`,
+    ].filter(line => line).join('\n'),
+    image,
+    '"></p>\n</body>\n</html>\n',
+  ], {type: 'text/html'});
+}
+
+// Data URL of an image, to have it inside of a page
+function DataURL(content, type) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(new Blob([content], {type: type}));
+  });
+}
+
+// Page of the image with its links as an image map; the image is inside, as
+// the page may not be saved next to it
+async function LinkMap(content, type, {url, title, width, height, links}) {
+  const image = await DataURL(content, type);
+  // the image data is not copied into yet another string
+  return new Blob([[
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '  <meta charset="utf-8">',
+    `  <title>${EscapeHTML(title)}</title>`,
+    '</head>',
+    '<body>',
+    `  <p><a href="${EscapeHTML(url)}">${EscapeHTML(url)}</a></p>`,
+    `  <img width="${width}" height="${height}" usemap="#links" alt="${EscapeHTML(title)}" src="`,
+  ].join('\n'), image, '">\n' + [
+    '  <map name="links">',
+    ...links.map(({href, text, left, top, width, height}) => {
+      let coords = [left, top, left + width, top + height].join(',');
+      return `    <area shape="rect" coords="${coords}" href="${EscapeHTML(href)}" title="${EscapeHTML(text || href)}" alt="${EscapeHTML(text)}">`;
+    }),
+    '  </map>',
+    '</body>',
+    '</html>',
+    '',
+  ].join('\n')], {type: 'text/html'});
+}
+
+// Gets the scale of the saved image relative to CSS pixels
+function GetOutputScale(prefs, native, width) {
+  switch (prefs.output_scale) {
+    case '1': return 1;
+    case '2': return 2;
+    case 'width': return prefs.output_width / width;
+    default: return native;
+  }
+}
+
+// Reads the size of a PNG or JPEG image from its data URL, without decoding
+// the whole image
+function ImageSize(url) {
+  let start = url.indexOf(',') + 1;
+  let bytes = Uint8Array.from(atob(url.slice(start, start + 65536)), c => c.charCodeAt(0));
+  let view = new DataView(bytes.buffer);
+  if (bytes.length >= 24 && view.getUint32(0) === 0x89504E47) {
+    // IHDR is always the first chunk
+    return {width: view.getUint32(16), height: view.getUint32(20)};
+  }
+  if (bytes.length >= 4 && view.getUint16(0) === 0xFFD8) {
+    for (let i = 2; i + 9 < bytes.length && bytes[i] === 0xFF; i += 2 + view.getUint16(i + 2)) {
+      let marker = bytes[i + 1];
+      // SOFn, but not DHT, JPG and DAC
+      if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+        return {width: view.getUint16(i + 7), height: view.getUint16(i + 5)};
+      }
+    }
+  }
+  return null;
+}
+
+// Resolves to the size of an image after decoding it, for data which
+// ImageSize() can't read
+function DecodedImageSize(url) {
+  return new Promise((resolve, reject) => {
+    let img = new Image();
+    img.onload = () => resolve({width: img.naturalWidth, height: img.naturalHeight});
+    img.onerror = reject;
+    img.src = url;
+  });
+}
+
+// Whether a captured tile of this size is obviously broken: smaller than
+// requested. Blank tiles are not checked, the captures are opaque and a tile
+// of one colour is just as likely a blank part of the page
+function IsBrokenTile(size, width, height) {
+  return size.width < Math.trunc(width) || size.height < Math.trunc(height);
+}
+
+// Runs a script in a worker to avoid blocking other extensions, resolves to
+// the first message posted back other than progress
+function RunWorker(script, message, timeout, signal = null, onprogress = ignore) {
+  const worker = new Worker(script);
+  let timer = null;
+  let cancel = null;
+  return new Promise((resolve, reject) => {
+    worker.onerror = (event) => reject(event);
+    worker.onmessage = (event) => {
+      // {progress: 0 to 1} comes before the result
+      if (event.data && event.data.progress != null) {
+        onprogress(event.data.progress);
+      } else {
+        resolve(event.data);
+      }
+    };
+    worker.postMessage(message);
+    timer = setTimeout(reject, timeout, 'timeout');
+    if (signal) {
+      cancel = () => reject('cancelled');
+      signal.addEventListener('abort', cancel);
+    }
+  }).catch(err => {
+    abort(err);
+  }).finally(() => {
+    clearTimeout(timer);
+    if (cancel) {
+      signal.removeEventListener('abort', cancel);
+    }
+    worker.terminate();
+  });
+}
+
+// Steps of the filter chain, in its order: CSS filters of the canvas, and
+// arguments of lib/worker-filter.js which has all of them
+function GetFilters(prefs) {
+  const brightness = prefs.filter_brightness / 100;
+  const contrast = prefs.filter_contrast / 100;
+  return prefs.filters.map(name => ({
+    grayscale: {name, css: 'grayscale(1)'},
+    invert: {name, css: 'invert(1)'},
+    brightness: {name, brightness, contrast, css: `brightness(${brightness}) contrast(${contrast})`},
+    sharpen: {name, amount: prefs.filter_sharpen / 100},
+  })[name]);
+}
+
+// Captures the highlighted tabs of the current window one by one, or all of
+// them if only one tab is highlighted.
+async function TakeBatchScreenshots({region, format}) {
+  const BROWSER_VERSION_MAJOR = parseInt((await browser.runtime.getBrowserInfo()).version, 10);
+  const badge = ['setTitle', 'setBadgeText'].every(x => x in browserAction);
+  const nid = Date.now();
+
+  // nobody is there to select anything in background tabs, and only the
+  // active tab can be printed
+  if (region === 'selection' || region === 'element' || region === 'print') {
+    alarm(T$('errorBatchRegion'), {id: nid});
+    return;
+  }
+  // every tab would replace the image of the one before in the clipboard
+  if (format === 'copy') {
+    alarm(T$('errorBatchCopy'), {id: nid});
+    return;
+  }
+
+  let tabs = await browser.tabs.query({currentWindow: true, highlighted: true});
+  if (tabs.length <= 1) {
+    tabs = await browser.tabs.query({currentWindow: true});
+  }
+  // unloaded tabs have no content script to talk to
+  tabs = tabs.filter(tab => !tab.discarded);
+
+  // only tabs.captureTab with {rect} can capture background tabs reliably
+  const activate = BROWSER_VERSION_MAJOR < 82;
+  const [active] = await browser.tabs.query({active: true, currentWindow: true});
+
+  // the whole batch is cancelled like a screenshot, with the one of the
+  // current tab
+  const id = String(nid);
+  const controller = new AbortController();
+  let current = null;
+  controller.signal.addEventListener('abort', () => {
+    if (current) {
+      CancelScreenshots(current.id);
+    }
+  });
+  cancels.set('batch-' + id, new Map([[id, controller]]));
+
+  let saved = 0;
+  try {
+    for (let i = 0; i < tabs.length; i++) {
+      if (controller.signal.aborted) {
+        break;
+      }
+      let tab = current = tabs[i];
+      if (badge) {
+        await browserAction.setTitle({title: T$('badge_batch', i + 1, tabs.length)});
+        await browserAction.setBadgeText({text: `${i + 1}/${tabs.length}`});
+      }
+      // shown in the popups, with a button to cancel the batch
+      let report = {
+        id: id,
+        title: tab.title,
+        phase: 'batch',
+        args: [i + 1, tabs.length],
+        percent: Math.floor(i * 100 / tabs.length),
+        eta: null,
+      };
+      reports.set(id, report);
+      for (let port of listeners) {
+        port.postMessage(report);
+      }
+      try {
+        if (activate) {
+          await browser.tabs.update(tab.id, {active: true});
+        }
+        // resolves with true after the screenshot is saved, failures and
+        // cancellations are reported by the screenshot itself
+        const done = await browser.tabs.sendMessage(tab.id, {
+          type: 'TakeScreenshot',
+          region: region,
+          format: format,
+          delay: 0,
+          // the tab shows the count of the batch on the toolbar button
+          batch: {index: i + 1, count: tabs.length},
+        });
+        if (done === true) {
+          saved++;
+        }
+      } catch (err) {
+        console.error(`Failed to capture tab ${tab.id}: ${err}`);
+      }
+    }
+  } finally {
+    cancels.delete('batch-' + id);
+    reports.delete(id);
+    for (let port of listeners) {
+      port.postMessage({id: id, done: true});
+    }
+    if (activate && active) {
+      await browser.tabs.update(active.id, {active: true}).catch(ignore);
+    }
+    if (badge) {
+      await browserAction.setTitle({title: ''});
+      await browserAction.setBadgeText({text: ''});
+    }
+  }
+  if (controller.signal.aborted) {
+    notify(T$('info_batch_cancelled', saved, tabs.length), {id: nid});
+  } else {
+    notify(T$('info_batch_done', saved, tabs.length), {id: nid});
+  }
+}
+
+// Counts down in the toolbar badge and in the page, the countdown in the page
+// is removed before returning
+async function Countdown(tab, seconds, badge, signal) {
+  if (badge) {
+    await browserAction.setTitle({title: T$('badge_waiting'), tabId: tab.id});
+    await browserAction.setBadgeBackgroundColor({color: 'orange', tabId: tab.id});
+  }
+  try {
+    for (let i = seconds; i > 0; i--) {
+      if (signal.aborted) {
+        abort('cancelled');
+      }
+      if (badge) {
+        await browserAction.setBadgeText({text: String(i), tabId: tab.id});
+      }
+      await browser.tabs.sendMessage(tab.id, {type: 'Countdown', seconds: i});
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+  } finally {
+    await browser.tabs.sendMessage(tab.id, {type: 'Countdown', seconds: 0});
+  }
+}
+
+// Makes the screenshot cancellable from the popup, the toolbar button if
+// there is no popup, the notifications and the page
+async function AddCancel(tab_id, nid, controller) {
+  if (!cancels.has(tab_id)) {
+    cancels.set(tab_id, new Map());
+    ReportQueues();
+  }
+  cancels.get(tab_id).set(nid, controller);
+}
+
+async function RemoveCancel(tab_id, nid) {
+  const controllers = cancels.get(tab_id);
+  if (controllers && controllers.delete(nid) && controllers.size === 0) {
+    cancels.delete(tab_id);
+    ReportQueues();
+  }
+}
+
+function CancelScreenshots(tab_id) {
+  for (let controller of (cancels.get(tab_id) || new Map()).values()) {
+    controller.abort();
+  }
+}
+
+function CancelScreenshot(id) {
+  for (let controllers of cancels.values()) {
+    if (controllers.has(id)) {
+      controllers.get(id).abort();
+    }
   }
 }
+
 function DebugDraw(ctx, i) {
   ctx._ = (ctx._ || 0) + 1;
   ctx.save();
@@ -722,11 +1860,13 @@ async function MigrateSettings() {
 async function Startup() {
   await MigrateSettings();
   await UpdateUI();
+  await UpdateQueues();
 }
 
 // Register event listeners
 browser.contextMenus.onClicked.addListener(ContextMenuClicked);
 browser.browserAction.onClicked.addListener(ToolbarButtonClicked);
+browser.notifications.onClicked.addListener(NotificationClicked);
 browser.commands.onCommand.addListener(CommandPressed);
 
 Startup();
@@ -22,7 +22,6 @@
 // https://www.w3.org/TR/2016/WD-cssom-view-1-20160317/#dom-element-clientheight
 // https://www.w3.org/TR/2016/WD-cssom-view-1-20160317/#dom-document-scrollingelement
 // https://dom.spec.whatwg.org/#dom-document-compatmode
-// TODO: take a screenshot of an iframe or any scrolling element
 function GetPageInfo() {
   const root = document.documentElement;
   const page = document.scrollingElement || root;
@@ -156,11 +155,19 @@ function Select() {
         reject();
       }
     };
+    // the Escape that closes the overlay cancels no screenshot
+    let onKeydown = (event) => {
+      if (event.key === 'Escape' || event.keyCode === 27) {
+        nopop(event);
+      }
+    };
     let cleanup = () => {
+      window.removeEventListener('keydown', onKeydown, {capture: true});
       window.removeEventListener('keyup', onKeyup, {capture: true});
       window.removeEventListener('mousemove', onMouseMove, {capture: true});
       overlay.remove();
     };
+    window.addEventListener('keydown', onKeydown, {capture: true});
     window.addEventListener('keyup', onKeyup, {capture: true});
     // TODO: allow readjustment by dragging the corners
     window.addEventListener('mouseup', (event) => {
@@ -177,6 +184,323 @@ function Select() {
   });
 }
 
+function Pick() {
+  const overlay = document.createElement('div');
+  const outline = document.createElement('div');
+  const style = document.createElement('style');
+  overlay.appendChild(style);
+  overlay.appendChild(outline);
+  (document.body || document.documentElement).appendChild(overlay);
+
+  let now = Date.now();
+  style.id = 'screenshot-style-' + now;
+  overlay.id = 'screenshot-overlay-' + now;
+  outline.id = 'screenshot-outline-' + now;
+  outline.dataset.label = '';
+
+  // the overlay must not be hit by document.elementFromPoint
+  style.textContent = `
+    #${overlay.id}, #${overlay.id} * {
+      all: initial !important;
+    }
+    :root *, :root #${overlay.id}, :root #${overlay.id} * {
+      cursor: crosshair !important;
+    }
+    :root #${style.id} {
+      display: none !important;
+    }
+    :root #${overlay.id} {
+      position: fixed !important;
+      left: 0 !important;
+      top: 0 !important;
+      height: 100% !important;
+      width: 100% !important;
+      z-index: 2147483647 !important;
+      pointer-events: none !important;
+    }
+    :root #${outline.id} {
+      position: absolute !important;
+      box-sizing: border-box !important;
+      outline: 2px solid #0a84ff !important;
+      background: rgba(10, 132, 255, 0.2) !important;
+      pointer-events: none !important;
+    }
+    :root #${outline.id}::after {
+      content: attr(data-label) !important;
+      position: absolute !important;
+      left: 1px !important;
+      top: 1px !important;
+      white-space: pre !important;
+      font: bold 12px monospace !important;
+      color: #000 !important;
+      text-shadow: 1px 1px 0 #fff, 1px -1px 0 #fff, -1px -1px 0 #fff, -1px 1px 0 #fff, 1px 0 0 #fff, 0 -1px 0 #fff, -1px 0 0 #fff, 0 1px 0 #fff !important;
+    }
+  `;
+
+  // path[0] is the element under the cursor, the rest are its ancestors
+  let path = [], level = 0;
+
+  let highlight = () => {
+    let target = path[level];
+    if (!target) {
+      outline.setAttribute('style', 'display: none !important;');
+      return;
+    }
+    let rect = target.getBoundingClientRect();
+    outline.setAttribute('style', `
+      top: ${rect.top}px !important;
+      left: ${rect.left}px !important;
+      width: ${rect.width}px !important;
+      height: ${rect.height}px !important;
+    `);
+    outline.dataset.label = target.tagName.toLowerCase() + ' '
+                          + Math.round(rect.width) + 'x' + Math.round(rect.height);
+  };
+  let climb = (steps) => {
+    level = Math.max(0, Math.min(level + steps, path.length - 1));
+    highlight();
+  };
+  let nopop = (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    event.stopImmediatePropagation();
+  };
+  let onMouseMove = (event) => {
+    nopop(event);
+    let target = document.elementFromPoint(event.clientX, event.clientY);
+    if (target === path[0]) {
+      return;
+    }
+    path = [];
+    for (let node = target; node; node = node.parentElement) {
+      path.push(node);
+    }
+    level = 0;
+    highlight();
+  };
+  let onWheel = (event) => {
+    nopop(event);
+    if (event.deltaY !== 0) {
+      climb(event.deltaY < 0 ? 1 : -1);
+    }
+  };
+  let onScroll = () => highlight();
+
+  return new Promise((resolve, reject) => {
+    let finish = () => {
+      let target = path[level];
+      cleanup();
+      if (!target) {
+        reject();
+        return;
+      }
+      let rect = target.getBoundingClientRect();
+      let i = GetPageInfo();
+      let left = i.dx > 0 ? i.sx + rect.left : i.sw + i.sx - i.cw + rect.left;
+      let top = i.dy > 0 ? i.sy + rect.top : i.sh + i.sy - i.ch + rect.top;
+      // snap outwards to whole pixels and stay inside the page
+      let x1 = Math.max(0, Math.floor(left));
+      let y1 = Math.max(0, Math.floor(top));
+      let x2 = Math.min(i.sw, Math.ceil(left + rect.width));
+      let y2 = Math.min(i.sh, Math.ceil(top + rect.height));
+      if (x2 > x1 && y2 > y1) {
+        resolve({left: x1, top: y1, width: x2 - x1, height: y2 - y1});
+      } else {
+        reject();
+      }
+    };
+    let onKeydown = (event) => {
+      switch (event.key) {
+        case 'ArrowUp':
+        case 'ArrowLeft':
+          nopop(event);
+          climb(1);
+          break;
+        case 'ArrowDown':
+        case 'ArrowRight':
+          nopop(event);
+          climb(-1);
+          break;
+        case 'Enter':
+          nopop(event);
+          finish();
+          break;
+        case 'Escape':
+          nopop(event);
+          cleanup();
+          reject();
+          break;
+      }
+    };
+    let onClick = (event) => {
+      nopop(event);
+      finish();
+    };
+    let cleanup = () => {
+      window.removeEventListener('mousemove', onMouseMove, {capture: true});
+      window.removeEventListener('mousedown', nopop, {capture: true});
+      window.removeEventListener('mouseup', nopop, {capture: true});
+      window.removeEventListener('click', onClick, {capture: true});
+      window.removeEventListener('wheel', onWheel, {capture: true});
+      window.removeEventListener('keydown', onKeydown, {capture: true});
+      window.removeEventListener('scroll', onScroll, {capture: true});
+      overlay.remove();
+    };
+    window.addEventListener('mousemove', onMouseMove, {capture: true});
+    window.addEventListener('mousedown', nopop, {capture: true});
+    window.addEventListener('mouseup', nopop, {capture: true});
+    window.addEventListener('click', onClick, {capture: true});
+    window.addEventListener('wheel', onWheel, {capture: true, passive: false});
+    window.addEventListener('keydown', onKeydown, {capture: true});
+    window.addEventListener('scroll', onScroll, {capture: true, passive: true});
+  });
+}
+
+
+// last known position of the mouse pointer in the viewport
+let pointer = null;
+let trackPointer = (event) => {
+  pointer = {x: event.clientX, y: event.clientY};
+};
+window.addEventListener('mousemove', trackPointer, {capture: true, passive: true});
+window.addEventListener('contextmenu', trackPointer, {capture: true, passive: true});
+
+// Escape cancels the screenshots of this page while this one is queued,
+// counted down or taken; the overlays of Select() and Pick() listen on the
+// window and keep their Escape from reaching the document
+async function Cancellable(send) {
+  let onKeydown = (event) => {
+    if (event.key === 'Escape' && !event.repeat) {
+      browser.runtime.sendMessage({type: 'CancelScreenshot'}).catch(() => {});
+    }
+  };
+  document.addEventListener('keydown', onKeydown, {capture: true, passive: true});
+  try {
+    return await send();
+  } finally {
+    document.removeEventListener('keydown', onKeydown, {capture: true});
+  }
+}
+
+// the scrolling element being captured, see FindScroller()
+let scroller = null;
+
+// Returns the scrolled element of an element (itself, or the document of an
+// accessible <iframe>) if there is any hidden content to capture.
+function GetScrollTarget(element) {
+  if (element.localName === 'iframe' || element.localName === 'frame') {
+    let doc = null;
+    try {
+      doc = element.contentDocument;
+    } catch (err) {
+      // cross-origin
+    }
+    let target = doc && (doc.scrollingElement || doc.documentElement);
+    if (target && (target.scrollWidth > target.clientWidth
+                   || target.scrollHeight > target.clientHeight)) {
+      return target;
+    }
+    return null;
+  }
+  // the page itself is captured by the "full" region
+  if (element === document.documentElement || element === document.body
+      || element === document.scrollingElement) {
+    return null;
+  }
+  let style = window.getComputedStyle(element);
+  let scroll_x = element.scrollWidth > element.clientWidth
+                 && /^(?:auto|scroll)$/.test(style.overflowX);
+  let scroll_y = element.scrollHeight > element.clientHeight
+                 && /^(?:auto|scroll)$/.test(style.overflowY);
+  return scroll_x || scroll_y ? element : null;
+}
+
+// Finds the scrolling element under the mouse pointer, or else the largest
+// one in the page.
+function FindScroller(point) {
+  let element = null, target = null;
+  if (point) {
+    let node = document.elementFromPoint(point.x, point.y);
+    for (; node && !target; node = node.parentElement) {
+      element = node;
+      target = GetScrollTarget(node);
+    }
+  }
+  if (!target) {
+    let max_area = 0;
+    for (let node of document.querySelectorAll('*')) {
+      let rect = node.getBoundingClientRect();
+      let area = rect.width * rect.height;
+      if (area > max_area) {
+        let found = GetScrollTarget(node);
+        if (found) {
+          [element, target, max_area] = [node, found, area];
+        }
+      }
+    }
+  }
+  if (!target) {
+    return null;
+  }
+  let win = target.ownerDocument.defaultView;
+  let rtl = win.getComputedStyle(target).direction === 'rtl';
+  return {
+    element: element,
+    target: target,
+    rtl: rtl,
+    origin: {x: target.scrollLeft, y: target.scrollTop},
+    // area of the visible content in the viewport, excluding borders and scrollbars
+    box() {
+      let rect = element.getBoundingClientRect();
+      let style = window.getComputedStyle(element);
+      let [bl, bt, br] = [
+        style.borderLeftWidth, style.borderTopWidth, style.borderRightWidth,
+      ].map(parseFloat);
+      if (element !== target) {
+        // <iframe>: the content box shows the viewport of its document
+        let [pl, pt] = [style.paddingLeft, style.paddingTop].map(parseFloat);
+        return {
+          left: rect.left + bl + pl,
+          top: rect.top + bt + pt,
+          width: target.clientWidth,
+          height: target.clientHeight,
+        };
+      }
+      // the vertical scrollbar is on the left side if right-to-left
+      let bar = rtl ? rect.width - bl - br - target.clientWidth : 0;
+      return {
+        left: rect.left + bl + bar,
+        top: rect.top + bt,
+        width: target.clientWidth,
+        height: target.clientHeight,
+      };
+    },
+  };
+}
+
+// Scrolls the content at (x, y) of the scrolling element into view, and
+// returns its offset from the top left corner of the visible area.
+async function ScrollContainer({x, y}) {
+  let {target, rtl} = scroller;
+  // scrollLeft is non-positive when right-to-left
+  let max_x = target.scrollWidth - target.clientWidth;
+  target.scrollLeft = rtl ? x - max_x : x;
+  target.scrollTop = y;
+  await new Promise(resolve => window.requestAnimationFrame(() => resolve()));
+  return {
+    x: x - (rtl ? target.scrollLeft + max_x : target.scrollLeft),
+    y: y - target.scrollTop,
+  };
+}
+
+function RestoreContainer() {
+  if (scroller) {
+    scroller.target.scrollLeft = scroller.origin.x;
+    scroller.target.scrollTop = scroller.origin.y;
+    scroller = null;
+  }
+}
+
 
 async function TakeScreenshot(request) {
   const prefs = await Storage.get();
@@ -184,9 +508,16 @@ async function TakeScreenshot(request) {
   const region = request.region || prefs.regions[0];
 
   let i = GetPageInfo();
+  let saved = null;
 
-  if (region == 'full') {
-    SaveScreenshot({
+  if (region == 'print') {
+    // nothing to measure, Firefox prints the whole page
+    saved = Cancellable(() => browser.runtime.sendMessage({
+      type: 'SaveAsPDF',
+      delay: request.delay,
+    }));
+  } else if (region == 'full') {
+    saved = SaveScreenshot({
       region: region,
       left: 0,
       top: 0,
@@ -194,20 +525,63 @@ async function TakeScreenshot(request) {
       width: i.sw,
       height: i.sh,
       format: format,
+      delay: request.delay,
+      batch: request.batch,
     });
   } else if (region == 'selection') {
-    Select().then((area) => {
-      SaveScreenshot({
+    saved = Select().then((area) => {
+      return SaveScreenshot({
+        region: region,
+        left: area.left,
+        top: area.top,
+        width: area.width,
+        height: area.height,
+        format: format,
+        delay: request.delay,
+        batch: request.batch,
+      });
+    });
+  } else if (region == 'container') {
+    scroller = FindScroller(pointer);
+    if (!scroller) {
+      return TakeScreenshot(Object.assign({}, request, {region: 'full'}));
+    }
+    let box = scroller.box();
+    saved = SaveScreenshot({
+      region: region,
+      left: 0,
+      top: 0,
+      width: scroller.target.scrollWidth,
+      height: scroller.target.scrollHeight,
+      format: format,
+      delay: request.delay,
+      batch: request.batch,
+      container: {
+        // position in the document
+        left: box.left + window.scrollX,
+        top: box.top + window.scrollY,
+        // position in the viewport
+        cx: box.left,
+        cy: box.top,
+        width: box.width,
+        height: box.height,
+      },
+    });
+  } else if (region == 'element') {
+    saved = Pick().then((area) => {
+      return SaveScreenshot({
         region: region,
         left: area.left,
         top: area.top,
         width: area.width,
         height: area.height,
         format: format,
+        delay: request.delay,
+        batch: request.batch,
       });
     });
   } else {
-    SaveScreenshot({
+    saved = SaveScreenshot({
       region: region,
       left: i.dx > 0 ? i.sx : i.sw + i.sx - i.cw,
       top: i.dy > 0 ? i.sy : i.sh + i.sy - i.ch,
@@ -215,18 +589,91 @@ async function TakeScreenshot(request) {
       width: i.cw,
       height: i.ch,
       format: format,
+      delay: request.delay,
+      batch: request.batch,
     });
   }
+
+  // only a batch of screenshots waits for each one to be saved
+  return request.batch ? saved : undefined;
+}
+
+// Links in the captured area with their boxes cut to it, relative to its top
+// left corner; in the content of the scrolling element for region "container"
+function CollectLinks(region, left, top, width, height) {
+  let i = GetPageInfo();
+  let root = document;
+  // offset of the viewport in the page, or in the content of the scroller
+  let [ox, oy] = [i.dx > 0 ? i.sx : i.sw + i.sx - i.cw, i.dy > 0 ? i.sy : i.sh + i.sy - i.ch];
+  if (region == 'container' && scroller) {
+    let {element, target, rtl} = scroller;
+    // links in an <iframe> are in the viewport of its document
+    let box = element === target ? scroller.box() : {left: 0, top: 0};
+    let max_x = target.scrollWidth - target.clientWidth;
+    root = target;
+    ox = (rtl ? target.scrollLeft + max_x : target.scrollLeft) - box.left;
+    oy = target.scrollTop - box.top;
+  }
+  let links = [];
+  for (let a of root.querySelectorAll('a[href]')) {
+    // scripts do not work in the saved map
+    if (/^javascript:/i.test(a.href)
+        || a.ownerDocument.defaultView.getComputedStyle(a).visibility !== 'visible') {
+      continue;
+    }
+    // a link broken across lines has many boxes
+    for (let rect of a.getClientRects()) {
+      let x1 = Math.max(rect.left + ox - left, 0);
+      let y1 = Math.max(rect.top + oy - top, 0);
+      let x2 = Math.min(rect.right + ox - left, width);
+      let y2 = Math.min(rect.bottom + oy - top, height);
+      if (x2 - x1 >= 1 && y2 - y1 >= 1) {
+        links.push({
+          href: a.href,
+          text: (a.textContent.trim() || a.title).replace(/\s+/g, ' ').slice(0, 200),
+          left: Math.round(x1),
+          top: Math.round(y1),
+          width: Math.round(x2 - x1),
+          height: Math.round(y2 - y1),
+        });
+      }
+    }
+  }
+  return links;
 }
 
-function SaveScreenshot({region, left, top, width, height, format}) {
+async function SaveScreenshot({region, left, top, width, height, format, delay, batch = false, container = null}) {
+  const prefs = await Storage.get();
+  // nobody is there to write a note in background tabs, cancelling it cancels
+  // the screenshot
+  let note = null;
+  let report_note = format == 'html' && prefs.report_note;
+  // the comment is only saved in PNG, JPEG and TIFF images, and in the text
+  // file next to the image
+  let comment_fields = {
+    png: prefs.metadata_png,
+    jpg: [...prefs.metadata_jpeg_com, ...prefs.metadata_exif],
+    tiff: ['comment'],
+  }[format] || [];
+  let comment_note = format != 'copy' && prefs.image_comment && /%n/.test(prefs.comment_template) &&
+                     [...comment_fields, ...prefs.metadata_sidecar].includes('comment');
+  if ((report_note || comment_note) && !batch) {
+    note = window.prompt(browser.i18n.getMessage(report_note ? 'report_note_prompt' : 'comment_note_prompt'), '');
+    if (note === null) {
+      return;
+    }
+  }
   let i = GetPageInfo();
   let [sx, sy] = [Math.trunc(i.sx), Math.trunc(i.sy)];
   let [spx, spy] = [i.sx - sx, i.sy - sy];
-  browser.runtime.sendMessage({
+  return Cancellable(() => browser.runtime.sendMessage({
     type: 'TakeScreenshot',
     format: format,
     region: region,
+    // seconds to wait before capturing (undefined: as configured)
+    delay: delay,
+    // part of a batch of screenshots of many tabs
+    batch: batch,
     // distance from top left corner (non-negative)
     left: Math.trunc(left),
     top: Math.trunc(top),
@@ -247,7 +694,13 @@ function SaveScreenshot({region, left, top, width, height, format}) {
     scrollbar: {w: i.bw, h: i.bh},
     // https://developer.mozilla.org/en-US/docs/Web/API/Window/devicePixelRatio
     scale: window.devicePixelRatio,
-  });
+    // visible area of the scrolling element (region "container")
+    container: container,
+    // links in the area, for an image map
+    links: prefs.link_map ? CollectLinks(region, left, top, width, height) : null,
+    // written by the user for the HTML report and the comment
+    note: note,
+  }));
 }
 
 
@@ -272,6 +725,177 @@ async function TriggerOpen(content, filename) {
 }
 
 
+// Shows the seconds left before capturing, or removes the countdown if none.
+let countdown = null;
+async function Countdown({seconds}) {
+  if (seconds > 0) {
+    if (!countdown) {
+      countdown = document.createElement('div');
+      countdown.id = 'screenshot-countdown-' + Date.now();
+      let style = document.createElement('style');
+      style.textContent = `
+        #${countdown.id}, #${countdown.id} * {
+          all: initial !important;
+        }
+        :root #${countdown.id} > style {
+          display: none !important;
+        }
+        :root #${countdown.id} {
+          position: fixed !important;
+          right: 8px !important;
+          bottom: 8px !important;
+          z-index: 2147483647 !important;
+          pointer-events: none !important;
+          padding: 2px 8px !important;
+          border-radius: 4px !important;
+          background: rgba(0, 0, 0, 0.6) !important;
+          color: #fff !important;
+          font: bold 14px monospace !important;
+        }
+      `;
+      countdown.appendChild(style);
+      countdown.appendChild(document.createElement('span'));
+      (document.body || document.documentElement).appendChild(countdown);
+    }
+    countdown.lastChild.textContent = String(seconds);
+  } else if (countdown) {
+    countdown.remove();
+    countdown = null;
+    // make sure that the next frame is painted without it
+    for (let i = 0; i < 2; i++) {
+      await new Promise(resolve => window.requestAnimationFrame(() => resolve()));
+    }
+  }
+}
+
+
+// Scrolls through the page from top to bottom, so that lazily loaded images
+// and sections are there when capturing, then scrolls back.  Returns the new
+// size of the page.
+async function PreloadPage({quiet, max_height, timeout, links}) {
+  const deadline = Date.now() + timeout * 1000;
+  const [x0, y0] = [window.scrollX, window.scrollY];
+  let sleep = (ms) => new Promise(resolve => setTimeout(resolve, Math.max(0, ms)));
+  let frame = () => new Promise(resolve => window.requestAnimationFrame(() => resolve()));
+  let until = (promise) => Promise.race([promise, sleep(deadline - Date.now())]);
+
+  // finished requests show up as resource timing entries
+  let last_load = Date.now();
+  let observer = null;
+  if (typeof PerformanceObserver !== 'undefined') {
+    observer = new PerformanceObserver(() => last_load = Date.now());
+    observer.observe({entryTypes: ['resource']});
+  }
+
+  try {
+    let i = GetPageInfo();
+    // the height is checked at every step since infinite scrolling pages grow
+    for (let y = 0; Date.now() < deadline; y += i.ch) {
+      i = GetPageInfo();
+      if (y >= Math.min(i.sh, max_height)) {
+        break;
+      }
+      window.scrollTo(x0, i.dy > 0 ? y : -y);
+      await frame();
+      await sleep(100);
+    }
+
+    let images = Array.from(document.images).filter(img => !img.complete);
+    await until(Promise.all(images.map(img => {
+      return img.decode ? img.decode().catch(() => {}) : new Promise(resolve => {
+        img.addEventListener('load', resolve, {once: true});
+        img.addEventListener('error', resolve, {once: true});
+      });
+    })));
+    if (document.fonts) {
+      await until(document.fonts.ready);
+    }
+    while (Date.now() - last_load < quiet && Date.now() < deadline) {
+      await sleep(Math.min(quiet - (Date.now() - last_load), deadline - Date.now()));
+    }
+  } finally {
+    if (observer) {
+      observer.disconnect();
+    }
+    window.scrollTo(x0, y0);
+    await frame();
+  }
+
+  // the links move with the content which has been loaded
+  let i = GetPageInfo();
+  return {
+    width: i.sw,
+    height: i.sh,
+    vw: i.cw,
+    vh: i.ch,
+    pw: i.sw,
+    ph: i.sh,
+    links: links ? CollectLinks('full', 0, 0, i.sw, i.sh) : null,
+  };
+}
+
+// Pauses whatever moves in the page, so that the tiles of one screenshot fit
+// together.  Animated images (GIF, APNG, WebP) can't be paused and go on.
+let frozen = null;
+function FreezePage() {
+  if (frozen) {
+    return;
+  }
+  frozen = {animations: [], svgs: [], media: []};
+
+  // CSS animations and transitions, at any depth and in pseudo-elements
+  if (document.getAnimations) {
+    for (let animation of document.getAnimations()) {
+      if (animation.playState === 'running') {
+        animation.pause();
+        frozen.animations.push(animation);
+      }
+    }
+  }
+  // SMIL animations
+  for (let svg of document.querySelectorAll('svg')) {
+    if (svg.pauseAnimations && !svg.animationsPaused()) {
+      svg.pauseAnimations();
+      frozen.svgs.push(svg);
+    }
+  }
+  // <video> and <audio>
+  for (let media of document.querySelectorAll('video, audio')) {
+    if (!media.paused) {
+      media.pause();
+      frozen.media.push(media);
+    }
+  }
+
+  // callbacks of the page script are held back until unfrozen, see
+  // pagetimers.js
+  HoldPageTimers();
+}
+
+function UnfreezePage() {
+  if (!frozen) {
+    return;
+  }
+  let {animations, svgs, media} = frozen;
+  frozen = null;
+
+  for (let animation of animations) {
+    if (animation.playState === 'paused') {
+      animation.play();
+    }
+  }
+  for (let svg of svgs) {
+    svg.unpauseAnimations();
+  }
+  for (let element of media) {
+    // autoplay might be blocked
+    element.play().catch(() => {});
+  }
+
+  ReleasePageTimers();
+}
+
+
 // https://developer.mozilla.org/en-US/docs/Web/API/CanvasRenderingContext2D/drawWindow
 // https://developer.mozilla.org/en-US/docs/Web/API/HTMLCanvasElement/toDataURL
 // https://developer.mozilla.org/en-US/docs/Web/API/HTMLCanvasElement/toBlob
@@ -304,6 +928,12 @@ browser.runtime.onMessage.addListener((request, sender, sendResponse) => {
     case 'TriggerOpen': return TriggerOpen(request.content, request.filename);
     case 'TakeScreenshot': return TakeScreenshot(request);
     case 'DrawWindow': return DrawWindow(request);
+    case 'ScrollContainer': return ScrollContainer(request);
+    case 'RestoreContainer': return Promise.resolve(RestoreContainer());
+    case 'Countdown': return Countdown(request);
+    case 'PreloadPage': return PreloadPage(request);
+    case 'FreezePage': return Promise.resolve(FreezePage());
+    case 'UnfreezePage': return Promise.resolve(UnfreezePage());
   }
   return false;
 });
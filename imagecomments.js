@@ -21,75 +21,326 @@ const PNG_SIGNATURE = new Uint8Array([
   0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A
 ]);
 
-async function ApplyImageComment(content, title, url) {
-  const imgdata = new DataView(content);
+const SOFTWARE = "SaveScreenshot for Firefox";
 
-  const comment = FormatComment(title, url);
-  const arr_comment = new TextEncoder("utf-8").encode(comment);
+// metadata: the fields (title, url, date, description as comment, artist and
+// copyright as author, software), the size of the image and the scale of its
+// pixels to CSS pixels
+// fields: the fields for PNG text chunks, JPEG comment and JPEG EXIF (with XMP)
+async function ApplyImageComment(content, metadata, fields) {
+  // the encoders give either buffers or views of them
+  if (ArrayBuffer.isView(content)) {
+    content = content.buffer.slice(content.byteOffset, content.byteOffset + content.byteLength);
+  }
+  const imgdata = new DataView(content);
 
   let is_png = imgdata.byteLength >= PNG_SIGNATURE.length &&
     PNG_SIGNATURE.every((byte, i) => imgdata.getUint8(i) === byte);
 
   let arr_final;
-  let mimetype;
   if (is_png) {
-    arr_final = ApplyPNGComment(imgdata, arr_comment);
-    mimetype = "image/png";
+    arr_final = ApplyPNGMetadata(imgdata, PickMetadata(metadata, fields.png));
   }
   else {
-    arr_final = ApplyJPEGComment(imgdata, arr_comment);
-    mimetype = "image/jpeg";
+    arr_final = ApplyJPEGMetadata(imgdata, PickMetadata(metadata, fields.exif),
+                                  PickMetadata(metadata, fields.jpeg_com));
+  }
+  return arr_final.buffer;
+}
+
+// Only the chosen fields of the metadata, and the properties of the image
+function PickMetadata(metadata, fields) {
+  const picked = Object.assign({}, metadata);
+  const names = {
+    comment: ["description"],
+    title: ["title"],
+    url: ["url"],
+    date: ["date"],
+    software: ["software"],
+    author: ["artist", "copyright"],
+  };
+  picked.software = SOFTWARE;
+  for (let field in names) {
+    if (!fields.includes(field)) {
+      names[field].forEach(name => delete picked[name]);
+    }
+  }
+  return picked;
+}
+
+// Replaces the placeholders of the template: those of the file name format,
+// except that %u is the URL as it is, and those of the capture
+function FormatComment(template, info) {
+  const date = info.date;
+  const pad = (n) => String(n).padStart(2, '0');
+  let host = "";
+  try {
+    host = new URL(info.url).hostname;
+  } catch (err) {
+    // not every page has a host
+  }
+  const values = {
+    Y: date.getFullYear(),
+    m: pad(date.getMonth() + 1),
+    d: pad(date.getDate()),
+    H: pad(date.getHours()),
+    M: pad(date.getMinutes()),
+    S: pad(date.getSeconds()),
+    t: info.title || "",
+    u: info.url,
+    h: host,
+    r: info.region,
+    v: `${info.vw}x${info.vh}`,
+    p: `${info.pw}x${info.ph}`,
+    o: `${info.sx},${info.sy}`,
+    x: info.scale,
+    a: info.useragent,
+    b: info.browser,
+    n: info.note || "",
+    "%": "%",
+  };
+  return template.replace(/%(.)/g, (match, key) => values.hasOwnProperty(key) ? values[key] : match);
+}
+
+// Lines of text of the metadata, for JPEG comments and text files
+function FormatMetadataText({description, title, url, date, software, artist, copyright}) {
+  const lines = [];
+  if (description != null) {
+    lines.push(description);
+  }
+  for (let [label, value] of [["Title", title], ["URL", url], ["Date", date && FormatDateTime(date)],
+                              ["Software", software], ["Artist", artist], ["Copyright", copyright]]) {
+    if (value) {
+      lines.push(`${label}: ${value}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+// Date and time with the offset from UTC, as in RFC 3339
+function FormatDateTime(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const offset = -date.getTimezoneOffset();
+  return date.getFullYear() + "-" + pad(date.getMonth() + 1) + "-" + pad(date.getDate()) +
+         "T" + pad(date.getHours()) + ":" + pad(date.getMinutes()) + ":" + pad(date.getSeconds()) +
+         (offset < 0 ? "-" : "+") + pad(Math.floor(Math.abs(offset) / 60)) + ":" + pad(Math.abs(offset) % 60);
+}
+
+// Escapes text for HTML and XML, in elements and in attribute values
+function EscapeHTML(text) {
+  return String(text).replace(/[&<>"]/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+// XMP packet of the metadata, for PNG and JPEG images
+// https://github.com/adobe/XMP-Toolkit-SDK/blob/main/docs/XMPSpecificationPart1.pdf
+function FormatXMP({title, url, date, description, software, artist, copyright}) {
+  const alt = (text) => `<rdf:Alt><rdf:li xml:lang="x-default">${EscapeHTML(text)}</rdf:li></rdf:Alt>`;
+  const properties = [];
+  if (title) {
+    properties.push(`   <dc:title>${alt(title)}</dc:title>`);
+  }
+  if (description) {
+    properties.push(`   <dc:description>${alt(description)}</dc:description>`);
+  }
+  if (url) {
+    properties.push(`   <dc:source>${EscapeHTML(url)}</dc:source>`);
+  }
+  if (artist) {
+    properties.push(`   <dc:creator><rdf:Seq><rdf:li>${EscapeHTML(artist)}</rdf:li></rdf:Seq></dc:creator>`);
   }
+  if (copyright) {
+    properties.push(`   <dc:rights>${alt(copyright)}</dc:rights>`);
+  }
+  if (date) {
+    properties.push(`   <xmp:CreateDate>${FormatDateTime(date)}</xmp:CreateDate>`);
+  }
+  if (software) {
+    properties.push(`   <xmp:CreatorTool>${EscapeHTML(software)}</xmp:CreatorTool>`);
+  }
+  return [
+    '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+    ' <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+    '  <rdf:Description rdf:about=""',
+    '    xmlns:dc="http://purl.org/dc/elements/1.1/"',
+    '    xmlns:xmp="http://ns.adobe.com/xap/1.0/">',
+    ...properties,
+    '  </rdf:Description>',
+    ' </rdf:RDF>',
+    '</x:xmpmeta>',
+    '<?xpacket end="r"?>',
+  ].join("\n");
+}
+
+//
+// Resolution and colour profile
+//
 
-  const dataurl = await new Promise((resolve) => {
-    const reader = new FileReader()
-    reader.onload = () => resolve(reader.result)
-    reader.readAsDataURL(new Blob([arr_final], {type: mimetype}))
-  })
-  return dataurl;
+// resolution of the image, where a CSS pixel is 1/96 inch
+function ImageDPI(scale) {
+  return Math.round(96 * scale);
 }
 
-function FormatComment(title, url) {
-  let comment = "Generated with SaveScreenshot for Firefox";
+// ICC profile (version 2) of the sRGB colour space
+// https://www.color.org/ICC1V42.pdf
+function SRGBProfile() {
+  const encoder = new TextEncoder("utf-8");
+  const s15 = (n) => Math.round(n * 65536);
+  const description = "sRGB IEC61966-2.1";
+  const xyz = (x, y, z) => ["XYZ ", [0, s15(x), s15(y), s15(z)]];
+  // the tone curve of sRGB, sampled
+  const curve = new Uint16Array(1024);
+  for (let i = 0; i < curve.length; i++) {
+    const v = i / (curve.length - 1);
+    curve[i] = Math.round(65535 * (v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4)));
+  }
+  const tags = [
+    // ASCII, then no Unicode and no ScriptCode description
+    ["desc", "desc", [0, description.length + 1], [...encoder.encode(description), 0], [0, 0],
+     new Array(2 + 1 + 67).fill(0)],
+    ["cprt", "text", [0], [...encoder.encode("No copyright, use freely"), 0]],
+    // white point of the display, and the primaries adapted to D50
+    ["wtpt", ...xyz(0.9505, 1, 1.0891)],
+    ["rXYZ", ...xyz(0.4361, 0.2225, 0.0139)],
+    ["gXYZ", ...xyz(0.3851, 0.7169, 0.0971)],
+    ["bXYZ", ...xyz(0.1431, 0.0606, 0.7141)],
+    ["rTRC", "curv", [0, curve.length], curve],
+  ];
 
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = (now.getMonth()+1).toString().padStart(2, '0');
-  const day = now.getDate().toString().padStart(2, '0');
-  const hours = now.getHours().toString().padStart(2, '0');
-  const minutes = now.getMinutes().toString().padStart(2, '0');
-  const seconds = now.getSeconds().toString().padStart(2, '0');
-  comment += "\nDate: " + year + "-" + month + "-" + day + " " + hours + ":" + minutes + ":" + seconds;
+  // data of the tags: signature of the type, then numbers of 4 bytes and
+  // bytes by turns, or numbers of 2 bytes
+  const width = (part, i) => part instanceof Uint16Array ? 2 : [4, 1][i % 2];
+  const data = tags.map(([sig, type, ...parts]) => {
+    const size = parts.reduce((size, part, i) => size + part.length * width(part, i), 4);
+    const view = new DataView(new ArrayBuffer(size + (-size & 3)));
+    let pos = 0;
+    for (let i = 0; i < 4; i++) {
+      view.setUint8(pos++, type.charCodeAt(i));
+    }
+    parts.forEach((part, i) => {
+      for (let value of part) {
+        if (part instanceof Uint16Array) {
+          view.setUint16(pos, value);
+          pos += 2;
+        } else if (i % 2 === 0) {
+          view.setUint32(pos, value);
+          pos += 4;
+        } else {
+          view.setUint8(pos++, value);
+        }
+      }
+    });
+    return new Uint8Array(view.buffer);
+  });
 
-  comment += "\nTitle: " + title;
+  // header, then the table of the tags; the green and blue curves are the red one
+  const table = 128 + 4 + (tags.length + 2) * 12;
+  const size = data.reduce((size, tag) => size + tag.length, table);
+  const profile = new Uint8Array(size);
+  const view = new DataView(profile.buffer);
+  const text = (pos, sig) => profile.set(Array.from(sig, c => c.charCodeAt(0)), pos);
+  view.setUint32(0, size);
+  view.setUint32(8, 0x02100000);
+  text(12, "mntr");
+  text(16, "RGB ");
+  text(20, "XYZ ");
+  // date of creation, always the same
+  [2000, 1, 1, 0, 0, 0].forEach((n, i) => view.setUint16(24 + i * 2, n));
+  text(36, "acsp");
+  // D50, the illuminant of the connection space
+  view.setInt32(68, s15(0.9642));
+  view.setInt32(72, s15(1));
+  view.setInt32(76, s15(0.8249));
+  view.setUint32(128, tags.length + 2);
+  let pos = table;
+  const entries = [];
+  tags.forEach(([sig], i) => {
+    entries.push([sig, pos, data[i].length]);
+    pos += data[i].length;
+  });
+  const trc = entries[entries.length - 1];
+  entries.push(["gTRC", trc[1], trc[2]], ["bTRC", trc[1], trc[2]]);
+  entries.forEach(([sig, offset, length], i) => {
+    text(132 + i * 12, sig);
+    view.setUint32(136 + i * 12, offset);
+    view.setUint32(140 + i * 12, length);
+  });
+  pos = table;
+  for (let tag of data) {
+    profile.set(tag, pos);
+    pos += tag.length;
+  }
+  return profile;
+}
 
-  comment += "\nURL: " + url;
+// Adds the resolution of the image, from the scale of its pixels to CSS
+// pixels, and the colour space: "srgb" (sRGB chunk of PNG, the profile for
+// JPEG which has no such tag), "icc" (the profile) or "none"
+function ApplyImageProperties(content, {scale, profile}) {
+  if (ArrayBuffer.isView(content)) {
+    content = content.buffer.slice(content.byteOffset, content.byteOffset + content.byteLength);
+  }
+  const imgdata = new DataView(content);
 
-  return comment
+  let is_png = imgdata.byteLength >= PNG_SIGNATURE.length &&
+    PNG_SIGNATURE.every((byte, i) => imgdata.getUint8(i) === byte);
+
+  let arr_final;
+  if (is_png) {
+    arr_final = ApplyPNGProperties(imgdata, scale, profile);
+  }
+  else {
+    arr_final = ApplyJPEGProperties(imgdata, scale, profile);
+  }
+  return arr_final.buffer;
 }
 
 //
 // PNG comment handling
 //
 
-const PNG_ITXT_HEADER = new Uint8Array([
-  0x69, 0x54, 0x58, 0x74, // "iTXt" in hex
-  0x43, 0x6f, 0x6d, 0x6d, 0x65, 0x6e, 0x74, // "Comment" in hex
-  0x00, // Null separator
-  0x00, // Compression flag (0 = uncompressed)
-  0x00, // Compression method
-  // Language tag (0 or more bytes. Unspecified here)
-  0x00, // Null separator
-  // Translated keyword (0 or more bytes. None here)
-  0x00 // Null separator
-])
-function ApplyPNGComment(imgdata, arr_comment) {
+// text longer than this is compressed
+const PNG_TEXT_COMPRESS = 256;
+
+// Type and data of a chunk of text: tEXt or zTXt for Latin-1, iTXt for any
+// other text; compressed when long
+function PNGTextChunk(keyword, text, compress = true) {
+  const encoder = new TextEncoder("utf-8");
+  const latin1 = /^[\x00-\xFF]*$/.test(text);
+  const deflate = compress && text.length > PNG_TEXT_COMPRESS;
+  const arr_keyword = Uint8Array.from(keyword, c => c.charCodeAt(0));
+  let arr_text = latin1 ? Uint8Array.from(text, c => c.charCodeAt(0)) : encoder.encode(text);
+  if (deflate) {
+    arr_text = pako.deflate(arr_text);
+  }
+
+  // keyword, null separator, then the fields of the type
+  let type, fields;
+  if (latin1 && !deflate) {
+    [type, fields] = ["tEXt", []];
+  } else if (latin1) {
+    // compression method 0 (Deflate)
+    [type, fields] = ["zTXt", [0]];
+  } else {
+    // compression flag and method, no language tag or translated keyword
+    [type, fields] = ["iTXt", [deflate ? 1 : 0, 0, 0, 0]];
+  }
+  const chunk = new Uint8Array(4 + arr_keyword.length + 1 + fields.length + arr_text.length);
+  chunk.set(Uint8Array.from(type, c => c.charCodeAt(0)));
+  chunk.set(arr_keyword, 4);
+  chunk.set(fields, 4 + arr_keyword.length + 1);
+  chunk.set(arr_text, chunk.length - arr_text.length);
+  return chunk;
+}
+
+// Inserts chunks (type and data) after the IHDR chunk
+function ApplyPNGChunks(imgdata, chunks) {
   // If we reach here, then the PNG signature has already been checked
   // Next step is read the IHDR chunk length (we expect the first chunk to
   // be the IHDR chunk as enforced by specification and don't check this here!)
   const IHDR_len = imgdata.getUint32(PNG_SIGNATURE.length);
 
-  // Calculate the position where we can splice in our comment chunk
+  // Calculate the position where we can splice in our chunks
   const splice_pos =
         PNG_SIGNATURE.length + // Length of signature at the start
         4 + // Uint32 storing the IHDR length
@@ -97,54 +348,271 @@ function ApplyPNGComment(imgdata, arr_comment) {
         IHDR_len + // Chunk Data for the IHDR chunk
         4; // IHDR chunk CRC
 
-  // Split image data
-  const arr_prefix = new Uint8Array(imgdata.buffer.slice(0, splice_pos));
-  const arr_suffix = new Uint8Array(imgdata.buffer.slice(splice_pos));
+  // every chunk has its length before and its CRC32 after
+  const size = chunks.reduce((size, chunk) => size + 4 + chunk.length + 4, 0);
+  const arr_final = new Uint8Array(imgdata.byteLength + size);
+  const view = new DataView(arr_final.buffer);
+  arr_final.set(new Uint8Array(imgdata.buffer, 0, splice_pos));
+  let pos = splice_pos;
+  for (let chunk of chunks) {
+    view.setUint32(pos, chunk.length - 4);
+    arr_final.set(chunk, pos + 4);
+    view.setInt32(pos + 4 + chunk.length, CRC32.buf(chunk));
+    pos += 4 + chunk.length + 4;
+  }
+  arr_final.set(new Uint8Array(imgdata.buffer, splice_pos), pos);
+  return arr_final;
+}
 
-  // Generate the required data for our new iTXt chunk
-  const arr_itxtdata = new Uint8Array([...PNG_ITXT_HEADER, ...arr_comment]);
-  const arr_itxtlen = new Uint8Array(4);
-  new DataView(arr_itxtlen.buffer).setUint32(0, arr_itxtdata.length - 4);
-  const arr_crc32 = new Uint8Array(4);
-  new DataView(arr_crc32.buffer).setInt32(0, CRC32.buf(arr_itxtdata));
+// Inserts the metadata with the standard keywords, and as XMP
+function ApplyPNGMetadata(imgdata, metadata) {
+  const {title, url, date, description, software, artist, copyright} = metadata;
+  const chunks = [];
+  for (let [keyword, text] of [["Title", title], ["Source", url],
+                               ["Creation Time", date && FormatDateTime(date)],
+                               ["Software", software], ["Description", description],
+                               ["Author", artist], ["Copyright", copyright]]) {
+    if (text) {
+      chunks.push(PNGTextChunk(keyword, text));
+    }
+  }
+  if (chunks.length) {
+    // readers expect it uncompressed, the byte order mark makes it UTF-8
+    chunks.push(PNGTextChunk("XML:com.adobe.xmp", FormatXMP(metadata), false));
+  }
+  return ApplyPNGChunks(imgdata, chunks);
+}
 
-  // Place all the Uint8Array parts in the right order
-  return new Uint8Array([...arr_prefix, ...arr_itxtlen, ...arr_itxtdata, ...arr_crc32, ...arr_suffix]);
+// Removes the chunks of these types
+function RemovePNGChunks(imgdata, types) {
+  const parts = [new Uint8Array(imgdata.buffer, 0, PNG_SIGNATURE.length)];
+  let pos = PNG_SIGNATURE.length;
+  while (pos + 12 <= imgdata.byteLength) {
+    const length = 12 + imgdata.getUint32(pos);
+    const type = String.fromCharCode(...new Uint8Array(imgdata.buffer, pos + 4, 4));
+    if (!types.includes(type)) {
+      parts.push(new Uint8Array(imgdata.buffer, pos, length));
+    }
+    pos += length;
+  }
+  const arr_final = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+  pos = 0;
+  for (let part of parts) {
+    arr_final.set(part, pos);
+    pos += part.length;
+  }
+  return new DataView(arr_final.buffer);
+}
+
+// Inserts the pixels per meter and the colour space, instead of those the
+// encoder may have written
+function ApplyPNGProperties(imgdata, scale, profile) {
+  const chunk = (type, data) => {
+    const arr = new Uint8Array(4 + data.length);
+    arr.set(Array.from(type, c => c.charCodeAt(0)));
+    arr.set(data, 4);
+    return arr;
+  };
+  const ppm = Math.round(ImageDPI(scale) / 0.0254);
+  const phys = new DataView(new ArrayBuffer(9));
+  phys.setUint32(0, ppm);
+  phys.setUint32(4, ppm);
+  // unit is the meter
+  phys.setUint8(8, 1);
+  const chunks = [chunk("pHYs", new Uint8Array(phys.buffer))];
+  if (profile === "srgb") {
+    // perceptual rendering intent
+    chunks.push(chunk("sRGB", [0]));
+  } else if (profile === "icc") {
+    // name of the profile, then compression method 0 (Deflate)
+    const name = Array.from("sRGB IEC61966-2.1", c => c.charCodeAt(0));
+    chunks.push(chunk("iCCP", [...name, 0, 0, ...pako.deflate(SRGBProfile())]));
+  }
+  imgdata = RemovePNGChunks(imgdata, ["pHYs", "sRGB", "iCCP", "gAMA", "cHRM"]);
+  return ApplyPNGChunks(imgdata, chunks);
 }
 
+// Inserts a chunk of text, returns the new PNG image
+function ApplyPNGText(content, keyword, text) {
+  return ApplyPNGChunks(new DataView(content), [PNGTextChunk(keyword, text)]).buffer;
+}
+
+// Inserts a text as a chunk of a PNG image, or with its keyword in a comment
+// of a JPEG image
+function ApplyImageText(content, keyword, text) {
+  const imgdata = new DataView(content);
+  let is_png = imgdata.byteLength >= PNG_SIGNATURE.length &&
+    PNG_SIGNATURE.every((byte, i) => imgdata.getUint8(i) === byte);
+  if (is_png) {
+    return ApplyPNGText(content, keyword, text);
+  }
+  const arr_text = new TextEncoder("utf-8").encode(keyword + ": " + text);
+  return ApplyJPEGSegments(imgdata, [JPEGSegment(0xFE, arr_text)]).buffer;
+}
 
 //
-// JPEG comment handling
+// JPEG metadata handling
 //
 
-const JPEG_COM_MARKER = new Uint8Array([0xFF, 0xFE]);
-function ApplyJPEGComment(imgdata, arr_comment) {
-  if (imgdata.getUint8(0) != 0xFF || imgdata.getUint8(1) != 0xD8) {
-    console.log("Invalid JPEG image! Can't apply comment!");
-    return new Uint8Array(imgdata.buffer);
-  };
+const EXIF_HEADER = "Exif\0\0";
+const XMP_HEADER = "http://ns.adobe.com/xap/1.0/\0";
 
-  if (imgdata.getUint8(2) != 0xFF || imgdata.getUint8(3) != 0xE0) {
-    console.log("No JFIF segment in JPEG image! Can't apply comment!");
+// EXIF of the metadata, in little endian TIFF with the directories of
+// tiffwriter.js; its text is ASCII, the XMP has the whole text
+function FormatEXIF({description, date, software, artist, copyright, width, height, scale}) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const entries = [];
+  if (description) {
+    entries.push({tag: 0x010E, type: TIFF_ASCII, values: description});
+  }
+  if (scale) {
+    const dpi = ImageDPI(scale);
+    entries.push({tag: 0x011A, type: TIFF_RATIONAL, values: [dpi, 1]},
+                 {tag: 0x011B, type: TIFF_RATIONAL, values: [dpi, 1]},
+                 // inches
+                 {tag: 0x0128, type: TIFF_SHORT, values: [2]});
+  }
+  if (software) {
+    entries.push({tag: 0x0131, type: TIFF_ASCII, values: software});
+  }
+  if (artist) {
+    entries.push({tag: 0x013B, type: TIFF_ASCII, values: artist});
+  }
+  if (copyright) {
+    entries.push({tag: 0x8298, type: TIFF_ASCII, values: copyright});
+  }
+
+  const exif = [{tag: 0x9000, type: TIFF_UNDEFINED, values: Array.from("0231", c => c.charCodeAt(0))}];
+  if (date) {
+    const datetime = date.getFullYear() + ":" + pad(date.getMonth() + 1) + ":" + pad(date.getDate()) +
+                     " " + pad(date.getHours()) + ":" + pad(date.getMinutes()) + ":" + pad(date.getSeconds());
+    exif.push({tag: 0x9003, type: TIFF_ASCII, values: datetime},
+              {tag: 0x9011, type: TIFF_ASCII, values: FormatDateTime(date).slice(-6)});
+  }
+  if (width && height) {
+    exif.push({tag: 0xA002, type: TIFF_LONG, values: [width]},
+              {tag: 0xA003, type: TIFF_LONG, values: [height]});
+  }
+
+  // the Exif IFD follows IFD0, which points to it
+  entries.push({tag: 0x8769, type: TIFF_LONG, values: [0]});
+  const exif_offset = 8 + TiffDirectory(entries, 8, false).byteLength;
+  entries[entries.length - 1].values = [exif_offset];
+  const ifd0 = TiffDirectory(entries, 8, false);
+  const ifd_exif = TiffDirectory(exif, exif_offset, false);
+
+  const tiff = new Uint8Array(exif_offset + ifd_exif.byteLength);
+  // "II", 42, offset of IFD0
+  tiff.set([0x49, 0x49, 0x2A, 0x00, 0x08, 0x00, 0x00, 0x00]);
+  tiff.set(new Uint8Array(ifd0), 8);
+  tiff.set(new Uint8Array(ifd_exif), exif_offset);
+  return tiff;
+}
+
+// Segment with its marker and length, or null if the data doesn't fit
+function JPEGSegment(marker, ...parts) {
+  const size = parts.reduce((size, part) => size + part.length, 0);
+  if (2 + size > 0xFFFF) {
+    console.log("Metadata too long for a JPEG segment! Can't apply it!");
+    return null;
+  }
+  const segment = new Uint8Array(4 + size);
+  segment.set([0xFF, marker, (2 + size) >> 8, (2 + size) & 0xFF]);
+  let pos = 4;
+  for (let part of parts) {
+    segment.set(part, pos);
+    pos += part.length;
+  }
+  return segment;
+}
+
+// Inserts segments after the start of image: application segments after the
+// ones with the same or a lower number, so that EXIF (APP1) comes before ICC
+// profiles (APP2) whatever is inserted first, and comments after all of them
+function ApplyJPEGSegments(imgdata, segments) {
+  if (imgdata.byteLength < 4 || imgdata.getUint8(0) != 0xFF || imgdata.getUint8(1) != 0xD8) {
+    console.log("Invalid JPEG image! Can't apply metadata!");
     return new Uint8Array(imgdata.buffer);
-  };
+  }
 
-  // Read JFIF segment length
-  const jfif_len = imgdata.getUint16(4);
+  // walks the application segments after the start of image
+  const ends = [];
+  let walk_pos = 2;
+  while (walk_pos + 4 <= imgdata.byteLength && imgdata.getUint8(walk_pos) == 0xFF) {
+    const marker = imgdata.getUint8(walk_pos + 1);
+    if (marker == 0xFF) {
+      // fill byte before a marker
+      walk_pos++;
+      continue;
+    }
+    if (marker < 0xE0 || marker > 0xEF) {
+      break;
+    }
+    walk_pos += 2 + imgdata.getUint16(walk_pos + 2);
+    ends.push({marker: marker, pos: Math.min(walk_pos, imgdata.byteLength)});
+  }
+  const splice_pos = (marker) => ends.reduce((pos, end) => end.marker <= marker ? end.pos : pos, 2);
 
-  // Calculate the position where we can splice in our comment chunk
-  const splice_pos =
-        4 + // Length of the 4 header bytes
-        jfif_len; // Length of the JFIF segment
+  // in the order of the file, and in the given order at the same position
+  segments = segments.filter(segment => segment)
+    .map((segment, i) => ({segment: segment, pos: splice_pos(segment[1]), i: i}))
+    .sort((a, b) => a.pos - b.pos || a.i - b.i);
+  const size = segments.reduce((size, {segment}) => size + segment.length, 0);
+  const arr_final = new Uint8Array(imgdata.byteLength + size);
+  let pos = 0, copied = 0;
+  for (let {segment, pos: at} of segments) {
+    arr_final.set(new Uint8Array(imgdata.buffer, copied, at - copied), pos);
+    pos += at - copied;
+    copied = at;
+    arr_final.set(segment, pos);
+    pos += segment.length;
+  }
+  arr_final.set(new Uint8Array(imgdata.buffer, copied), pos);
+  return arr_final;
+}
 
-  // Split image data
-  const arr_prefix = new Uint8Array(imgdata.buffer.slice(0, splice_pos));
-  const arr_suffix = new Uint8Array(imgdata.buffer.slice(splice_pos));
+// Inserts the metadata as EXIF and XMP, and as text in a comment
+function ApplyJPEGMetadata(imgdata, metadata, comment) {
+  const encoder = new TextEncoder("utf-8");
+  const header = (text) => Uint8Array.from(text, c => c.charCodeAt(0));
+  const text = FormatMetadataText(comment);
+  return ApplyJPEGSegments(imgdata, [
+    JPEGSegment(0xE1, header(EXIF_HEADER), FormatEXIF(metadata)),
+    JPEGSegment(0xE1, header(XMP_HEADER), encoder.encode(FormatXMP(metadata))),
+    text ? JPEGSegment(0xFE, encoder.encode(text)) : null,
+  ]);
+}
 
-  // Calculate length of our COM marker segment
-  const arr_comlen = new Uint8Array(2);
-  new DataView(arr_comlen.buffer).setUint16(0, arr_comment.length + 2);
+// Sets the dots per inch of the JFIF segment, or adds one, and inserts the
+// colour profile
+function ApplyJPEGProperties(imgdata, scale, profile) {
+  if (imgdata.byteLength < 4 || imgdata.getUint8(0) != 0xFF || imgdata.getUint8(1) != 0xD8) {
+    console.log("Invalid JPEG image! Can't apply resolution!");
+    return new Uint8Array(imgdata.buffer);
+  }
+  const dpi = Math.min(ImageDPI(scale), 0xFFFF);
+  const jfif = Array.from("JFIF\0", c => c.charCodeAt(0));
+  let arr_final = new Uint8Array(imgdata.buffer);
+  const has_jfif = imgdata.byteLength >= 18 && imgdata.getUint8(3) == 0xE0 &&
+    jfif.every((byte, i) => imgdata.getUint8(6 + i) === byte);
+  if (!has_jfif) {
+    // it has to follow the start of image
+    const segment = JPEGSegment(0xE0, jfif, [1, 2, 0, 0, 1, 0, 1, 0, 0]);
+    arr_final = new Uint8Array(imgdata.byteLength + segment.length);
+    arr_final.set([0xFF, 0xD8]);
+    arr_final.set(segment, 2);
+    arr_final.set(new Uint8Array(imgdata.buffer, 2), 2 + segment.length);
+  }
+  const view = new DataView(arr_final.buffer);
+  // units are dots per inch
+  view.setUint8(13, 1);
+  view.setUint16(14, dpi);
+  view.setUint16(16, dpi);
 
-  // Place all the Uint8Array parts in the right order
-  return new Uint8Array([...arr_prefix, ...JPEG_COM_MARKER, ...arr_comlen, ...arr_comment, ...arr_suffix]);
+  if (profile === "srgb" || profile === "icc") {
+    // marker of ICC profiles, number of this chunk and count of chunks
+    const header = [...Array.from("ICC_PROFILE\0", c => c.charCodeAt(0)), 1, 1];
+    arr_final = ApplyJPEGSegments(view, [JPEGSegment(0xE2, header, SRGBProfile())]);
+  }
+  return arr_final;
 }
@@ -21872,6 +21872,7 @@ function JPEGEncoder(quality) {
 
     while (y < height) {
       x = 0;
+      if (image.onProgress) image.onProgress(y / height); // firefox-screenshot
 
       while (x < quadWidth) {
         start = quadWidth * y + x;
@@ -23606,7 +23607,8 @@ function encode(buf, options, cb) {
     var opts = {
       data: buf,
       width: options.width,
-      height: options.height
+      height: options.height,
+      onProgress: options.onProgress // firefox-screenshot
     };
     var encoded = encoder.encode(opts);
     var result = {
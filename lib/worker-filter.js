@@ -0,0 +1,85 @@
+// Filters of RGBA pixels, in place and in the order of the steps; the same as
+// the CSS filters of the canvas, plus an unsharp mask
+
+function Grayscale(data) {
+  for (let i = 0; i < data.length; i += 4) {
+    let [r, g, b] = [data[i], data[i + 1], data[i + 2]];
+    data[i] = data[i + 1] = data[i + 2] = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  }
+}
+
+function Invert(data) {
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = 255 - data[i];
+    data[i + 1] = 255 - data[i + 1];
+    data[i + 2] = 255 - data[i + 2];
+  }
+}
+
+function Brightness(data, brightness, contrast) {
+  let table = new Uint8ClampedArray(256);
+  for (let v = 0; v < 256; v++) {
+    table[v] = (Math.min(255, v * brightness) - 127.5) * contrast + 127.5;
+  }
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = table[data[i]];
+    data[i + 1] = table[data[i + 1]];
+    data[i + 2] = table[data[i + 2]];
+  }
+}
+
+// adds the difference to a 3x3 gaussian blur, with copies of the rows above
+// and of the current one as they were
+function Sharpen(data, width, height, amount) {
+  let stride = width * 4;
+  let above = new Uint8Array(stride);
+  let row = new Uint8Array(stride);
+  let blurred = new Float32Array(stride);
+  for (let y = 0; y < height; y++) {
+    let offset = y * stride;
+    if (y > 0) {
+      above.set(row);
+    }
+    row.set(data.subarray(offset, offset + stride));
+    if (y === 0) {
+      above.set(row);
+    }
+    let below = y + 1 < height ? data.subarray(offset + stride, offset + 2 * stride) : row;
+    for (let i = 0; i < stride; i++) {
+      blurred[i] = above[i] + 2 * row[i] + below[i];
+    }
+    for (let x = 0; x < width; x++) {
+      let i = x * 4;
+      let left = x > 0 ? i - 4 : i, right = x + 1 < width ? i + 4 : i;
+      for (let c = 0; c < 3; c++) {
+        let blur = (blurred[left + c] + 2 * blurred[i + c] + blurred[right + c]) / 16;
+        data[offset + i + c] = row[i + c] + amount * (row[i + c] - blur);
+      }
+    }
+    if (y % 256 === 0) {
+      self.postMessage({progress: y / height});
+    }
+  }
+}
+
+self.onmessage = (event) => {
+  let {data, width, height, steps} = event.data;
+  let pixels = new Uint8ClampedArray(data.buffer, data.byteOffset, data.length);
+  for (let step of steps) {
+    switch (step.name) {
+      case 'grayscale':
+        Grayscale(pixels);
+        break;
+      case 'invert':
+        Invert(pixels);
+        break;
+      case 'brightness':
+        Brightness(pixels, step.brightness, step.contrast);
+        break;
+      case 'sharpen':
+        Sharpen(pixels, width, height, step.amount);
+        break;
+    }
+  }
+  self.postMessage(data);
+};
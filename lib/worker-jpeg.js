@@ -3,11 +3,12 @@ if (typeof Worker !== 'undefined') {
   delete Worker;
 }
 
-self.importScripts('inkjet.js');
+self.importScripts('inkjet.js', 'worker-progress.js');
 
 self.onmessage = (event) => {
   let {data, width, height, quality} = event.data;
-  inkjet.encode(data, {width, height, quality}, (err, encoded) => {
+  let onProgress = ProgressReporter();
+  inkjet.encode(data, {width, height, quality, onProgress}, (err, encoded) => {
     if (err) throw err;
     self.postMessage(encoded.data);
   });
@@ -0,0 +1,194 @@
+if (typeof Worker !== 'undefined') {
+  // don't let inkjet.js use worker in this worker
+  delete Worker;
+}
+
+self.importScripts('pako.js', 'inkjet.js');
+
+// https://opensource.adobe.com/dc-acrobat-sdk-docs/pdfstandards/PDF32000_2008.pdf
+const PAGE_SIZES = {
+  a4: [595.28, 841.89],
+  letter: [612, 792],
+};
+// largest size of a page, beyond which UserUnit scales it
+const MAX_PAGE_SIZE = 14400;
+
+// Hexadecimal text string in UTF-16BE, for any title
+function TextString(text) {
+  let hex = 'FEFF';
+  for (let i = 0; i < text.length; i++) {
+    hex += text.charCodeAt(i).toString(16).toUpperCase().padStart(4, '0');
+  }
+  return `<${hex}>`;
+}
+
+function DateString(time) {
+  let date = new Date(time);
+  let pad = (n) => String(n).padStart(2, '0');
+  let offset = -date.getTimezoneOffset();
+  let sign = offset < 0 ? '-' : '+';
+  offset = Math.abs(offset);
+  return `(D:${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+         `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}` +
+         `${sign}${pad(Math.floor(offset / 60))}'${pad(offset % 60)}')`;
+}
+
+function Number$(n) {
+  return String(Math.round(n * 1000) / 1000);
+}
+
+// Rows of RGBA pixels as the stream of an image: Deflate of RGB, or JPEG
+function ImageStream(data, width, top, rows, jpeg, quality) {
+  let slice = data.subarray(top * width * 4, (top + rows) * width * 4);
+  if (jpeg) {
+    // inkjet.js calls back at once
+    let stream = null;
+    inkjet.encode(slice, {width, height: rows, quality}, (err, encoded) => {
+      if (err) throw err;
+      stream = {filter: 'DCTDecode', bytes: encoded.data};
+    });
+    return stream;
+  }
+  let rgb = new Uint8Array(width * rows * 3);
+  for (let i = 0, j = 0; j < rgb.length; i += 4, j += 3) {
+    rgb[j] = slice[i];
+    rgb[j + 1] = slice[i + 1];
+    rgb[j + 2] = slice[i + 2];
+  }
+  return {filter: 'FlateDecode', bytes: pako.deflate(rgb)};
+}
+
+class PdfFile {
+  constructor() {
+    this.chunks = [];
+    this.length = 0;
+    this.offsets = [];
+    this.encoder = new TextEncoder();
+    this.write('%PDF-1.6\n%\xE2\xE3\xCF\xD3\n');
+  }
+
+  write(data) {
+    if (typeof data === 'string') {
+      // only ASCII, and the bytes of the binary comment
+      data = Uint8Array.from(data, c => c.charCodeAt(0));
+    }
+    this.chunks.push(data);
+    this.length += data.length;
+  }
+
+  // reserves the number of an object written later
+  reserve() {
+    this.offsets.push(null);
+    return this.offsets.length;
+  }
+
+  object(id, dictionary, stream = null) {
+    this.offsets[id - 1] = this.length;
+    if (stream) {
+      this.write(`${id} 0 obj\n<< ${dictionary} /Length ${stream.length} >>\nstream\n`);
+      this.write(stream);
+      this.write('\nendstream\nendobj\n');
+    } else {
+      this.write(`${id} 0 obj\n${dictionary}\nendobj\n`);
+    }
+  }
+
+  finish(root, info) {
+    let start = this.length;
+    let xref = `xref\n0 ${this.offsets.length + 1}\n0000000000 65535 f \n`;
+    for (let offset of this.offsets) {
+      xref += `${String(offset).padStart(10, '0')} 00000 n \n`;
+    }
+    this.write(xref);
+    this.write(`trailer\n<< /Size ${this.offsets.length + 1} /Root ${root} 0 R /Info ${info} 0 R >>\n`);
+    this.write(`startxref\n${start}\n%%EOF\n`);
+    let file = new Uint8Array(this.length);
+    let offset = 0;
+    for (let chunk of this.chunks) {
+      file.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return file;
+  }
+}
+
+// page: 'single' for one page of the whole image, or a key of PAGE_SIZES
+// margin: in millimeters, for pages of a fixed size
+// overlap: rows repeated at the top of the next page
+// scale: image pixels per CSS pixel, which is 3/4 of a point
+function CreatePdf({data, width, height, page, margin, overlap, scale, jpeg, quality, info}) {
+  let natural = 0.75 / scale;
+  let pages = [];
+  if (page === 'single') {
+    pages.push({top: 0, rows: height, width: width * natural, height: height * natural,
+                x: 0, scale: natural});
+  } else {
+    let [page_width, page_height] = PAGE_SIZES[page];
+    let m = margin * 72 / 25.4;
+    // fit the width, without enlarging the image
+    let fit = Math.min(natural, (page_width - 2 * m) / width);
+    let per_page = Math.max(1, Math.floor((page_height - 2 * m) / fit));
+    let step = Math.max(1, per_page - Math.min(overlap, per_page - 1));
+    for (let top = 0; ; top += step) {
+      let rows = Math.min(per_page, height - top);
+      pages.push({top, rows, width: page_width, height: page_height, x: m, y: m, scale: fit});
+      if (top + rows >= height) {
+        break;
+      }
+    }
+  }
+
+  let pdf = new PdfFile();
+  let catalog = pdf.reserve();
+  let tree = pdf.reserve();
+  let kids = [];
+  for (let i = 0; i < pages.length; i++) {
+    let {top, rows, x, y, scale: s} = pages[i];
+    let {width: pw, height: ph} = pages[i];
+    // 1 user unit is 1/72 inch by default
+    let unit = Math.ceil(Math.max(pw, ph) / MAX_PAGE_SIZE);
+    let [iw, ih] = [width * s / unit, rows * s / unit];
+    [pw, ph] = [pw / unit, ph / unit];
+    // image at the top of the page
+    let [ix, iy] = y == null ? [0, 0] : [x / unit, ph - y / unit - ih];
+
+    let image = ImageStream(data, width, top, rows, jpeg, quality);
+    let image_id = pdf.reserve();
+    pdf.object(image_id, `/Type /XObject /Subtype /Image /Width ${width} /Height ${rows} ` +
+                         `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /${image.filter}`,
+               image.bytes);
+    let content_id = pdf.reserve();
+    pdf.object(content_id, '', pdf.encoder.encode(
+      `q ${Number$(iw)} 0 0 ${Number$(ih)} ${Number$(ix)} ${Number$(iy)} cm /Im0 Do Q`));
+    let page_id = pdf.reserve();
+    pdf.object(page_id, `<< /Type /Page /Parent ${tree} 0 R ` +
+                        `/MediaBox [0 0 ${Number$(pw)} ${Number$(ph)}] ` +
+                        (unit > 1 ? `/UserUnit ${unit} ` : '') +
+                        `/Resources << /XObject << /Im0 ${image_id} 0 R >> >> ` +
+                        `/Contents ${content_id} 0 R >>`);
+    kids.push(`${page_id} 0 R`);
+    self.postMessage({progress: (i + 1) / pages.length});
+  }
+  pdf.object(tree, `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${kids.length} >>`);
+  pdf.object(catalog, `<< /Type /Catalog /Pages ${tree} 0 R >>`);
+
+  let info_id = pdf.reserve();
+  let entries = [
+    `/Producer ${TextString(info.producer)}`,
+    `/CreationDate ${DateString(info.date)}`,
+  ];
+  if (info.title != null) {
+    entries.push(`/Title ${TextString(info.title)}`);
+  }
+  // a key of its own, viewers show the subject as a line of text
+  if (info.url != null) {
+    entries.push(`/URL ${TextString(info.url)}`);
+  }
+  pdf.object(info_id, `<< ${entries.join(' ')} >>`);
+  return pdf.finish(catalog, info_id);
+}
+
+self.onmessage = (event) => {
+  let {data, width, height, quality, pdf} = event.data;
+  self.postMessage(CreatePdf(Object.assign({data, width, height, quality}, pdf)));
+};
@@ -2,7 +2,26 @@ let UZIP = null;
 
 self.importScripts('pako.js', 'upng.js');
 
+// compresses in chunks to report the progress, which is mostly compressing
+const deflate = pako.deflate;
+pako.deflate = (data, options) => {
+  const chunk = 1 << 20;
+  if (data.length <= chunk) {
+    return deflate(data, options);
+  }
+  let deflator = new pako.Deflate(options);
+  for (let i = 0; i < data.length; i += chunk) {
+    deflator.push(data.subarray(i, i + chunk), i + chunk >= data.length);
+    self.postMessage({progress: Math.min(i + chunk, data.length) / data.length});
+  }
+  if (deflator.err) {
+    throw new Error(deflator.msg);
+  }
+  return deflator.result;
+};
+
+// colors: 0 for lossless, or the size of the quantized palette
 self.onmessage = (event) => {
-  let {data, width, height} = event.data;
-  self.postMessage(UPNG.encode([data], width, height, 0));
+  let {data, width, height, colors} = event.data;
+  self.postMessage(UPNG.encode([data], width, height, colors || 0));
 };
@@ -0,0 +1,11 @@
+// Posts the progress of a worker, from 0 to 1, as {progress}; at most one
+// message for every percent
+function ProgressReporter() {
+  let percent = 0;
+  return (value) => {
+    if (Math.floor(value * 100) > percent) {
+      percent = Math.floor(value * 100);
+      self.postMessage({progress: value});
+    }
+  };
+}
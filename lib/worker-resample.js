@@ -0,0 +1,82 @@
+// Lanczos resampling of RGBA pixels, in two separable passes
+
+function Lanczos(x) {
+  if (x === 0) {
+    return 1;
+  }
+  if (x <= -3 || x >= 3) {
+    return 0;
+  }
+  let px = Math.PI * x;
+  return 3 * Math.sin(px) * Math.sin(px / 3) / (px * px);
+}
+
+// contributions of the source pixels to every destination pixel
+function Weights(src, dst) {
+  let scale = dst / src;
+  // widen the filter when downscaling so that no source pixel is skipped
+  let fscale = Math.min(1, scale);
+  let support = 3 / fscale;
+  let list = new Array(dst);
+  for (let i = 0; i < dst; i++) {
+    let center = (i + 0.5) / scale;
+    let first = Math.max(0, Math.floor(center - support));
+    let last = Math.min(src - 1, Math.ceil(center + support));
+    let weights = new Float32Array(last - first + 1);
+    let sum = 0;
+    for (let j = first; j <= last; j++) {
+      sum += weights[j - first] = Lanczos((j + 0.5 - center) * fscale);
+    }
+    for (let k = 0; k < weights.length; k++) {
+      weights[k] /= sum;
+    }
+    list[i] = {first, weights};
+  }
+  return list;
+}
+
+function Resample(data, width, height, new_width, new_height) {
+  let tmp = new Uint8ClampedArray(new_width * height * 4);
+  let out = new Uint8ClampedArray(new_width * new_height * 4);
+
+  let xs = Weights(width, new_width);
+  for (let y = 0; y < height; y++) {
+    let row = y * width * 4;
+    for (let x = 0; x < new_width; x++) {
+      let {first, weights} = xs[x];
+      let r = 0, g = 0, b = 0, a = 0;
+      for (let k = 0, i = row + first * 4; k < weights.length; k++, i += 4) {
+        let w = weights[k];
+        r += data[i] * w;
+        g += data[i + 1] * w;
+        b += data[i + 2] * w;
+        a += data[i + 3] * w;
+      }
+      let o = (y * new_width + x) * 4;
+      tmp[o] = r;
+      tmp[o + 1] = g;
+      tmp[o + 2] = b;
+      tmp[o + 3] = a;
+    }
+  }
+
+  let ys = Weights(height, new_height);
+  let stride = new_width * 4;
+  for (let y = 0; y < new_height; y++) {
+    let {first, weights} = ys[y];
+    for (let x = 0; x < stride; x++) {
+      let v = 0;
+      for (let k = 0, i = first * stride + x; k < weights.length; k++, i += stride) {
+        v += tmp[i] * weights[k];
+      }
+      out[y * stride + x] = v;
+    }
+  }
+
+  return new Uint8Array(out.buffer);
+}
+
+self.onmessage = (event) => {
+  let {data, width, height, new_width, new_height} = event.data;
+  self.postMessage(Resample(data, width, height, new_width, new_height));
+};
@@ -0,0 +1,28 @@
+self.importScripts('pako.js');
+
+// Encodes rows of RGBA pixels into TIFF strips of RGB pixels
+self.onmessage = (event) => {
+  let {data, width, rows, rows_per_strip, compression} = event.data;
+  let stride = width * 3;
+  let strips = [];
+  for (let top = 0; top < rows; top += rows_per_strip) {
+    let count = Math.min(rows_per_strip, rows - top);
+    let strip = new Uint8Array(stride * count);
+    for (let i = (top * width) * 4, j = 0; j < strip.length; i += 4, j += 3) {
+      strip[j] = data[i];
+      strip[j + 1] = data[i + 1];
+      strip[j + 2] = data[i + 2];
+    }
+    if (compression === 'deflate') {
+      // horizontal differencing (Predictor = 2) compresses flat areas well
+      for (let y = 0; y < count; y++) {
+        for (let j = (y + 1) * stride - 1; j >= y * stride + 3; j--) {
+          strip[j] -= strip[j - 3];
+        }
+      }
+      strip = pako.deflate(strip);
+    }
+    strips.push(strip);
+  }
+  self.postMessage(strips);
+};
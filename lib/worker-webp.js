@@ -0,0 +1,408 @@
+// Lossless WebP (VP8L) encoder: subtract-green transform, LZ77 backward
+// references and one group of prefix codes, without color cache.
+// https://developers.google.com/speed/webp/docs/webp_lossless_bitstream_specification
+
+self.importScripts('worker-progress.js');
+
+const MAX_LENGTH = 4096;
+const MAX_DISTANCE = (1 << 20) - 120;
+const HASH_BITS = 18;
+const CHAIN_DEPTH = 8;
+const CODE_LENGTH_ORDER = [17, 18, 0, 1, 2, 3, 4, 5, 16, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15];
+// (xi, yi) of the short distance codes, dist = xi + yi * width
+const DISTANCE_MAP = [
+  0, 1,  1, 0,  1, 1,  -1, 1,  0, 2,  2, 0,  1, 2,  -1, 2,
+  2, 1,  -2, 1,  2, 2,  -2, 2,  0, 3,  3, 0,  1, 3,  -1, 3,
+  3, 1,  -3, 1,  2, 3,  -2, 3,  3, 2,  -3, 2,  0, 4,  4, 0,
+  1, 4,  -1, 4,  4, 1,  -4, 1,  3, 3,  -3, 3,  2, 4,  -2, 4,
+  4, 2,  -4, 2,  0, 5,  3, 4,  -3, 4,  4, 3,  -4, 3,  5, 0,
+  1, 5,  -1, 5,  5, 1,  -5, 1,  2, 5,  -2, 5,  5, 2,  -5, 2,
+  4, 4,  -4, 4,  3, 5,  -3, 5,  5, 3,  -5, 3,  0, 6,  6, 0,
+  1, 6,  -1, 6,  6, 1,  -6, 1,  2, 6,  -2, 6,  6, 2,  -6, 2,
+  4, 5,  -4, 5,  5, 4,  -5, 4,  3, 6,  -3, 6,  6, 3,  -6, 3,
+  0, 7,  7, 0,  1, 7,  -1, 7,  5, 5,  -5, 5,  7, 1,  -7, 1,
+  4, 6,  -4, 6,  6, 4,  -6, 4,  2, 7,  -2, 7,  7, 2,  -7, 2,
+  3, 7,  -3, 7,  7, 3,  -7, 3,  5, 6,  -5, 6,  6, 5,  -6, 5,
+  8, 0,  4, 7,  -4, 7,  7, 4,  -7, 4,  8, 1,  8, 2,  6, 6,
+  -6, 6,  8, 3,  5, 7,  -5, 7,  7, 5,  -7, 5,  8, 4,  6, 7,
+  -6, 7,  7, 6,  -7, 6,  8, 5,  7, 7,  -7, 7,  8, 6,  8, 7,
+];
+
+class BitWriter {
+  constructor(size) {
+    this.buffer = new Uint8Array(size);
+    this.length = 0;
+    this.bits = 0;
+    this.count = 0;
+  }
+
+  // writes up to 16 bits, least significant first
+  write(value, count) {
+    this.bits |= value << this.count;
+    this.count += count;
+    while (this.count >= 8) {
+      if (this.length >= this.buffer.length) {
+        let buffer = new Uint8Array(this.buffer.length * 2);
+        buffer.set(this.buffer);
+        this.buffer = buffer;
+      }
+      this.buffer[this.length++] = this.bits & 0xFF;
+      this.bits >>>= 8;
+      this.count -= 8;
+    }
+  }
+
+  // writes any number of bits below 2^32
+  writeLong(value, count) {
+    while (count > 16) {
+      this.write(value & 0xFFFF, 16);
+      value = Math.floor(value / 0x10000);
+      count -= 16;
+    }
+    this.write(value, count);
+  }
+
+  finish() {
+    if (this.count > 0) {
+      this.write(0, 8 - this.count);
+    }
+    return this.buffer.subarray(0, this.length);
+  }
+}
+
+// Code lengths of a Huffman code, no longer than the limit
+function CodeLengths(counts, limit) {
+  for (let shift = 0; ; shift++) {
+    // flatten the counts until the tree is short enough
+    let nodes = [];
+    counts.forEach((count, symbol) => {
+      if (count > 0) {
+        nodes.push({count: Math.max(1, Math.floor(count / 2 ** shift)), symbol});
+      }
+    });
+    let lengths = new Array(counts.length).fill(0);
+    if (nodes.length === 1) {
+      lengths[nodes[0].symbol] = 1;
+      return lengths;
+    }
+    while (nodes.length > 1) {
+      nodes.sort((a, b) => a.count - b.count);
+      let [a, b] = nodes.splice(0, 2);
+      nodes.push({count: a.count + b.count, children: [a, b]});
+    }
+    let max = 0;
+    let walk = (node, depth) => {
+      if (node.children) {
+        node.children.forEach(child => walk(child, depth + 1));
+      } else {
+        lengths[node.symbol] = depth;
+        max = Math.max(max, depth);
+      }
+    };
+    if (nodes.length > 0) {
+      walk(nodes[0], 0);
+    }
+    if (max <= limit) {
+      return lengths;
+    }
+  }
+}
+
+// Canonical codes, with the bits reversed for the writer; the only symbol of
+// a code takes no bits at all
+function CanonicalCodes(lengths) {
+  let used = lengths.filter(length => length > 0).length;
+  let codes = lengths.map(length => ({code: 0, length: used > 1 ? length : 0}));
+  let max = Math.max(0, ...lengths);
+  let counts = new Array(max + 1).fill(0);
+  lengths.forEach(length => length > 0 && counts[length]++);
+  let next = [], code = 0;
+  for (let bits = 1; bits <= max; bits++) {
+    code = (code + (counts[bits - 1] || 0)) << 1;
+    next[bits] = code;
+  }
+  lengths.forEach((length, symbol) => {
+    if (length > 0 && used > 1) {
+      let value = next[length]++, reversed = 0;
+      for (let i = 0; i < length; i++) {
+        reversed = (reversed << 1) | ((value >> i) & 1);
+      }
+      codes[symbol].code = reversed;
+    }
+  });
+  return codes;
+}
+
+// Run-length encoding of code lengths: [symbol, extra bits, number of them]
+function RunLengths(lengths) {
+  let tokens = [], prev = 8;
+  for (let i = 0; i < lengths.length;) {
+    let value = lengths[i], run = 1;
+    while (i + run < lengths.length && lengths[i + run] === value) {
+      run++;
+    }
+    i += run;
+    if (value === 0) {
+      while (run >= 11) {
+        let n = Math.min(run, 138);
+        tokens.push([18, n - 11, 7]);
+        run -= n;
+      }
+      if (run >= 3) {
+        tokens.push([17, run - 3, 3]);
+        run = 0;
+      }
+    } else {
+      if (value !== prev) {
+        tokens.push([value, 0, 0]);
+        prev = value;
+        run--;
+      }
+      while (run >= 3) {
+        let n = Math.min(run, 6);
+        tokens.push([16, n - 3, 2]);
+        run -= n;
+      }
+    }
+    while (run-- > 0) {
+      tokens.push([value, 0, 0]);
+    }
+  }
+  return tokens;
+}
+
+// Writes a prefix code from the counts of its symbols, returns its codes
+function WriteCode(writer, counts) {
+  let used = [];
+  counts.forEach((count, symbol) => count > 0 && used.push(symbol));
+  if (used.length <= 1 && (used[0] || 0) < 256) {
+    // simple code of one symbol, which takes no bits
+    let symbol = used[0] || 0;
+    writer.write(1, 1);
+    writer.write(0, 1);
+    if (symbol < 2) {
+      writer.write(0, 1);
+      writer.write(symbol, 1);
+    } else {
+      writer.write(1, 1);
+      writer.write(symbol, 8);
+    }
+    return counts.map(() => ({code: 0, length: 0}));
+  }
+
+  let lengths = CodeLengths(counts, 15);
+  let tokens = RunLengths(lengths);
+  let token_counts = new Array(19).fill(0);
+  tokens.forEach(([symbol]) => token_counts[symbol]++);
+  let token_lengths = CodeLengths(token_counts, 7);
+  let token_codes = CanonicalCodes(token_lengths);
+
+  let num = 19;
+  while (num > 4 && token_lengths[CODE_LENGTH_ORDER[num - 1]] === 0) {
+    num--;
+  }
+  writer.write(0, 1);
+  writer.write(num - 4, 4);
+  for (let i = 0; i < num; i++) {
+    writer.write(token_lengths[CODE_LENGTH_ORDER[i]], 3);
+  }
+  // all symbols are coded
+  writer.write(0, 1);
+  for (let [symbol, extra, count] of tokens) {
+    writer.write(token_codes[symbol].code, token_codes[symbol].length);
+    writer.write(extra, count);
+  }
+  return CanonicalCodes(lengths);
+}
+
+// Prefix and extra bits of a length or a distance code
+function PrefixCode(value) {
+  let v = value - 1;
+  if (v < 4) {
+    return [v, 0, 0];
+  }
+  let high = 31 - Math.clz32(v);
+  let second = (v >> (high - 1)) & 1;
+  return [2 * high + second, high - 1, v & ((1 << (high - 1)) - 1)];
+}
+
+// Distance code of a backward reference, short ones for the neighbourhood
+function DistanceCode(distance, width, short) {
+  let yi = Math.floor(distance / width), xi = distance - yi * width;
+  for (let [x, y] of [[xi, yi], [xi - width, yi + 1]]) {
+    let code = x >= -7 && x <= 8 && short.get(y * 16 + x);
+    if (code) {
+      return code;
+    }
+  }
+  return distance + 120;
+}
+
+function Encode(data, width, height, progress) {
+  const n = width * height;
+  const pixels = new Uint32Array(n);
+  let alpha = false;
+  for (let i = 0, j = 0; i < n; i++, j += 4) {
+    let [r, g, b, a] = [data[j], data[j + 1], data[j + 2], data[j + 3]];
+    alpha = alpha || a !== 255;
+    // subtract green
+    pixels[i] = ((a << 24) | (((r - g) & 0xFF) << 16) | (g << 8) | ((b - g) & 0xFF)) >>> 0;
+  }
+
+  const short = new Map();
+  for (let i = 0; i < DISTANCE_MAP.length; i += 2) {
+    let [x, y] = [DISTANCE_MAP[i], DISTANCE_MAP[i + 1]];
+    if (x + y * width >= 1 && !short.has(y * 16 + x)) {
+      short.set(y * 16 + x, i / 2 + 1);
+    }
+  }
+
+  // tokens: [0, pixel] for a literal, [length, distance code] for a copy
+  let tokens = new Uint32Array(Math.max(1024, n >> 2));
+  let count = 0;
+  let push = (a, b) => {
+    if (count + 2 > tokens.length) {
+      let grown = new Uint32Array(tokens.length * 2);
+      grown.set(tokens);
+      tokens = grown;
+    }
+    tokens[count++] = a;
+    tokens[count++] = b;
+  };
+
+  const head = new Int32Array(1 << HASH_BITS).fill(-1);
+  const chain = new Int32Array(n);
+  let hash = (i) => {
+    return (Math.imul(pixels[i], 0x1E35A7BD) ^ Math.imul(pixels[i + 1], 0x9E3779B1)) >>> (32 - HASH_BITS);
+  };
+  let insert = (i) => {
+    if (i + 1 < n) {
+      let h = hash(i);
+      chain[i] = head[h];
+      head[h] = i;
+    }
+  };
+  let matching = (i, j, max) => {
+    let length = 0;
+    while (length < max && pixels[i + length] === pixels[j + length]) {
+      length++;
+    }
+    return length;
+  };
+
+  let next_report = 0;
+  for (let i = 0; i < n;) {
+    if (i >= next_report) {
+      progress(0.8 * i / n);
+      next_report = i + (1 << 20);
+    }
+    let max = Math.min(MAX_LENGTH, n - i);
+    let best = 0, best_distance = 0;
+    // runs and repeated rows first, they are common and have short codes
+    for (let j of [i - 1, i - width]) {
+      if (j >= 0) {
+        let length = matching(i, j, max);
+        if (length > best) {
+          best = length;
+          best_distance = i - j;
+        }
+      }
+    }
+    if (best < max && i + 1 < n) {
+      let j = head[hash(i)];
+      for (let depth = 0; depth < CHAIN_DEPTH && j >= 0 && i - j <= MAX_DISTANCE; depth++) {
+        let length = matching(i, j, max);
+        if (length > best) {
+          best = length;
+          best_distance = i - j;
+        }
+        j = chain[j];
+      }
+    }
+    if (best >= 3) {
+      push(best, DistanceCode(best_distance, width, short));
+      for (let k = 0; k < best; k++) {
+        insert(i + k);
+      }
+      i += best;
+    } else {
+      push(0, pixels[i]);
+      insert(i);
+      i++;
+    }
+  }
+
+  // histograms of green (+ length prefixes), red, blue, alpha and distances
+  const histograms = [280, 256, 256, 256, 40].map(size => new Array(size).fill(0));
+  for (let t = 0; t < count; t += 2) {
+    if (tokens[t] === 0) {
+      let pixel = tokens[t + 1];
+      histograms[0][(pixel >>> 8) & 0xFF]++;
+      histograms[1][(pixel >>> 16) & 0xFF]++;
+      histograms[2][pixel & 0xFF]++;
+      histograms[3][pixel >>> 24]++;
+    } else {
+      histograms[0][256 + PrefixCode(tokens[t])[0]]++;
+      histograms[4][PrefixCode(tokens[t + 1])[0]]++;
+    }
+  }
+
+  const writer = new BitWriter(Math.max(1024, n >> 2));
+  writer.write(0x2F, 8);
+  writer.write(width - 1, 14);
+  writer.write(height - 1, 14);
+  writer.write(alpha ? 1 : 0, 1);
+  writer.write(0, 3);
+  // subtract green transform, and no more
+  writer.write(1, 1);
+  writer.write(2, 2);
+  writer.write(0, 1);
+  // no color cache, no meta prefix codes
+  writer.write(0, 1);
+  writer.write(0, 1);
+  const [green, red, blue, alphas, distances] = histograms.map(counts => WriteCode(writer, counts));
+
+  next_report = 0;
+  for (let t = 0; t < count; t += 2) {
+    if (t >= next_report) {
+      progress(0.8 + 0.2 * t / count);
+      next_report = t + (1 << 21);
+    }
+    if (tokens[t] === 0) {
+      let pixel = tokens[t + 1], code;
+      code = green[(pixel >>> 8) & 0xFF];
+      writer.write(code.code, code.length);
+      code = red[(pixel >>> 16) & 0xFF];
+      writer.write(code.code, code.length);
+      code = blue[pixel & 0xFF];
+      writer.write(code.code, code.length);
+      code = alphas[pixel >>> 24];
+      writer.write(code.code, code.length);
+    } else {
+      let [prefix, bits, extra] = PrefixCode(tokens[t]);
+      writer.write(green[256 + prefix].code, green[256 + prefix].length);
+      writer.write(extra, bits);
+      [prefix, bits, extra] = PrefixCode(tokens[t + 1]);
+      writer.write(distances[prefix].code, distances[prefix].length);
+      writer.writeLong(extra, bits);
+    }
+  }
+  const stream = writer.finish();
+
+  // RIFF container, chunks are padded to even sizes
+  const padded = stream.length + (stream.length & 1);
+  const file = new Uint8Array(20 + padded);
+  const view = new DataView(file.buffer);
+  file.set([0x52, 0x49, 0x46, 0x46], 0);  // RIFF
+  view.setUint32(4, 12 + padded, true);
+  file.set([0x57, 0x45, 0x42, 0x50], 8);  // WEBP
+  file.set([0x56, 0x50, 0x38, 0x4C], 12);  // VP8L
+  view.setUint32(16, stream.length, true);
+  file.set(stream, 20);
+  return file;
+}
+
+self.onmessage = (event) => {
+  let {data, width, height} = event.data;
+  self.postMessage(Encode(data, width, height, ProgressReporter()));
+};
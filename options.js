@@ -35,6 +35,11 @@ async function MultiselectGroupChanged(e) {
 
   // Update copy notification checkbox disabled status
   document.getElementById("copynotification_checkbox").disabled = !document.getElementById("format_copy_option").checked;
+  document.getElementById("tiff_compression_checkbox").disabled = !document.getElementById("format_tiff_option").checked;
+  document.getElementById("webp_lossless_checkbox").disabled = !document.getElementById("format_webp_option").checked;
+  UpdatePdfOptions(document.getElementById("format_pdf_option").checked);
+  document.getElementById("report_note_checkbox").disabled = !document.getElementById("format_html_option").checked;
+  UpdatePrintOptions(document.getElementById("region_print_option").checked);
 
   // Store selection
   const pref = e.target.name.split("_")[0] + "s";
@@ -44,6 +49,67 @@ async function MultiselectGroupChanged(e) {
   await browser.runtime.sendMessage({type: "OptionsChanged", redraw: true});
 }
 
+async function FiltersChanged(e) {
+  // The chain may be empty, and is applied in the order of the page
+  const filters = [];
+  document.getElementsByName("filter_options").forEach((option) => {
+    if (option.checked)
+      filters.push(option.id.split("_")[1]);
+  });
+  document.getElementById("filter_brightness").disabled = !filters.includes("brightness");
+  document.getElementById("filter_contrast").disabled = !filters.includes("brightness");
+  document.getElementById("filter_sharpen").disabled = !filters.includes("sharpen");
+  await Storage.set({filters: filters});
+  await browser.runtime.sendMessage({type: "OptionsChanged"});
+}
+
+async function MetadataChanged(e) {
+  // Every place has its own fields, which may be none
+  const settings = {};
+  document.getElementsByName("metadata_options").forEach((option) => {
+    const pref = "metadata_" + option.getAttribute("data-target");
+    settings[pref] = settings[pref] || [];
+    if (option.checked)
+      settings[pref].push(option.getAttribute("data-field"));
+  });
+  await Storage.set(settings);
+  await browser.runtime.sendMessage({type: "OptionsChanged"});
+}
+
+// Shows the comment of the template for an example page
+async function UpdateCommentPreview() {
+  const info = await browser.runtime.getBrowserInfo();
+  document.getElementById("comment_preview").textContent = FormatComment(
+    document.getElementById("comment_template").value, {
+      date: new Date(),
+      title: "Example Domain",
+      url: "https://www.example.com/",
+      region: "full",
+      vw: 1280,
+      vh: 720,
+      pw: 1280,
+      ph: 2400,
+      sx: 0,
+      sy: 0,
+      scale: window.devicePixelRatio,
+      useragent: navigator.userAgent,
+      browser: `${info.name} ${info.version}`,
+      note: "\u2026",
+    });
+}
+
+function UpdatePdfOptions(enabled) {
+  ["pdf_page", "pdf_margin", "pdf_overlap", "pdf_jpeg_checkbox"].forEach((id) => {
+    document.getElementById(id).disabled = !enabled;
+  });
+}
+
+function UpdatePrintOptions(enabled) {
+  ["print_paper", "print_orientation", "print_background_checkbox", "print_headers_checkbox"].forEach((id) => {
+    document.getElementById(id).disabled = !enabled;
+  });
+}
+
 async function MethodChanged(e) {
   let method = e.target.id.split("_")[1];
   await Storage.set({
@@ -95,6 +161,15 @@ async function NumberChanged(e) {
   await browser.runtime.sendMessage({type: "OptionsChanged"});
 }
 
+async function SelectChanged(e) {
+  const params = {};
+  params[e.target.id] = e.target.value;
+  await Storage.set(params);
+  if (e.target.id == "output_scale")
+    document.getElementById("output_width").disabled = (e.target.value != "width");
+  await browser.runtime.sendMessage({type: "OptionsChanged"});
+}
+
 async function init() {
   await loadOptions();
 
@@ -106,6 +181,10 @@ async function init() {
   regionoptions.forEach((option) => {
     option.addEventListener("click", MultiselectGroupChanged);
   });
+  let filteroptions = document.getElementsByName("filter_options");
+  filteroptions.forEach((option) => {
+    option.addEventListener("click", FiltersChanged);
+  });
   let methodoptions = document.getElementsByName("savemethod_options");
   methodoptions.forEach((option) => {
     option.addEventListener("click", MethodChanged);
@@ -113,12 +192,49 @@ async function init() {
 
   document.getElementById("filenameformat").addEventListener("change", TextChanged);
   document.getElementById("targetdir").addEventListener("change", TextChanged);
+  document.getElementById("image_artist").addEventListener("change", TextChanged);
+  document.getElementById("image_copyright").addEventListener("change", TextChanged);
+  document.getElementById("comment_template").addEventListener("change", TextChanged);
+  document.getElementById("comment_template").addEventListener("input", UpdateCommentPreview);
+  document.getElementsByName("metadata_options").forEach((option) => {
+    option.addEventListener("click", MetadataChanged);
+  });
   document.getElementById("jpegquality").addEventListener("change", NumberChanged);
+  document.getElementById("webpquality").addEventListener("change", NumberChanged);
+  document.getElementById("output_scale").addEventListener("change", SelectChanged);
+  document.getElementById("png_colors").addEventListener("change", SelectChanged);
+  document.getElementById("color_profile").addEventListener("change", SelectChanged);
+  document.getElementById("pdf_page").addEventListener("change", SelectChanged);
+  document.getElementById("print_paper").addEventListener("change", SelectChanged);
+  document.getElementById("print_orientation").addEventListener("change", SelectChanged);
+  document.getElementById("pdf_margin").addEventListener("change", NumberChanged);
+  document.getElementById("pdf_overlap").addEventListener("change", NumberChanged);
+  document.getElementById("output_width").addEventListener("change", NumberChanged);
+  document.getElementById("strategy").addEventListener("change", SelectChanged);
+  document.getElementById("capture_concurrency").addEventListener("change", NumberChanged);
+  document.getElementById("encode_concurrency").addEventListener("change", NumberChanged);
+  document.getElementById("delay").addEventListener("change", NumberChanged);
+  document.getElementById("filter_brightness").addEventListener("change", NumberChanged);
+  document.getElementById("filter_contrast").addEventListener("change", NumberChanged);
+  document.getElementById("filter_sharpen").addEventListener("change", NumberChanged);
+  document.getElementById("preload_quiet").addEventListener("change", NumberChanged);
+  document.getElementById("preload_max_height").addEventListener("change", NumberChanged);
+  document.getElementById("preload_timeout").addEventListener("change", NumberChanged);
 
   document.getElementById("show_contextmenu_checkbox").addEventListener("change", CheckboxChanged);
   document.getElementById("savenotification_checkbox").addEventListener("change", CheckboxChanged);
   document.getElementById("copynotification_checkbox").addEventListener("change", CheckboxChanged);
   document.getElementById("image_comment_checkbox").addEventListener("change", CheckboxChanged);
+  document.getElementById("link_map_checkbox").addEventListener("change", CheckboxChanged);
+  document.getElementById("manifest_sidecar_checkbox").addEventListener("change", CheckboxChanged);
+  document.getElementById("manifest_embed_checkbox").addEventListener("change", CheckboxChanged);
+  document.getElementById("tiff_compression_checkbox").addEventListener("change", CheckboxChanged);
+  document.getElementById("webp_lossless_checkbox").addEventListener("change", CheckboxChanged);
+  document.getElementById("pdf_jpeg_checkbox").addEventListener("change", CheckboxChanged);
+  document.getElementById("report_note_checkbox").addEventListener("change", CheckboxChanged);
+  document.getElementById("print_background_checkbox").addEventListener("change", CheckboxChanged);
+  document.getElementById("print_headers_checkbox").addEventListener("change", CheckboxChanged);
+  document.getElementById("preload_checkbox").addEventListener("change", CheckboxChanged);
 }
 
 async function loadOptions() {
@@ -129,17 +245,70 @@ async function loadOptions() {
   document.getElementsByName("region_options").forEach((option) => {
     option.checked = prefs.regions.includes(option.id.split("_")[1]);
   });
+  document.getElementsByName("filter_options").forEach((option) => {
+    option.checked = prefs.filters.includes(option.id.split("_")[1]);
+  });
   document.getElementById("savemethod_" + prefs.savemethod + "_option").checked = true;
   document.getElementById("show_contextmenu_checkbox").checked = prefs.show_contextmenu;
   document.getElementById("filenameformat").value = prefs.filenameformat;
   document.getElementById("targetdir").value = prefs.targetdir;
   document.getElementById("jpegquality").value = prefs.jpegquality;
+  document.getElementById("webpquality").value = prefs.webpquality;
+  document.getElementById("png_colors").value = prefs.png_colors;
+  document.getElementById("color_profile").value = prefs.color_profile;
+  document.getElementById("output_scale").value = prefs.output_scale;
+  document.getElementById("output_width").value = prefs.output_width;
+  document.getElementById("output_width").disabled = (prefs.output_scale != "width");
+  document.getElementById("strategy").value = prefs.strategy;
+  document.getElementById("capture_concurrency").value = prefs.capture_concurrency;
+  document.getElementById("encode_concurrency").value = prefs.encode_concurrency;
+  document.getElementById("delay").value = prefs.delay;
+  document.getElementById("filter_brightness").value = prefs.filter_brightness;
+  document.getElementById("filter_brightness").disabled = !prefs.filters.includes("brightness");
+  document.getElementById("filter_contrast").value = prefs.filter_contrast;
+  document.getElementById("filter_contrast").disabled = !prefs.filters.includes("brightness");
+  document.getElementById("filter_sharpen").value = prefs.filter_sharpen;
+  document.getElementById("filter_sharpen").disabled = !prefs.filters.includes("sharpen");
 
   document.getElementById("savenotification_checkbox").disabled = (prefs.savemethod != "save");
   document.getElementById("savenotification_checkbox").checked = prefs.savenotification;
   document.getElementById("copynotification_checkbox").disabled = !prefs.formats.includes("copy");
   document.getElementById("copynotification_checkbox").checked = prefs.copynotification;
   document.getElementById("image_comment_checkbox").checked = prefs.image_comment;
+  document.getElementById("image_artist").value = prefs.image_artist;
+  document.getElementById("image_artist").disabled = !prefs.image_comment;
+  document.getElementById("image_copyright").value = prefs.image_copyright;
+  document.getElementById("image_copyright").disabled = !prefs.image_comment;
+  document.getElementById("comment_template").value = prefs.comment_template;
+  document.getElementById("comment_template").disabled = !prefs.image_comment;
+  UpdateCommentPreview();
+  document.getElementsByName("metadata_options").forEach((option) => {
+    option.checked = prefs["metadata_" + option.getAttribute("data-target")].includes(option.getAttribute("data-field"));
+    option.disabled = !prefs.image_comment;
+  });
+  document.getElementById("link_map_checkbox").checked = prefs.link_map;
+  document.getElementById("manifest_sidecar_checkbox").checked = prefs.manifest_sidecar;
+  document.getElementById("manifest_embed_checkbox").checked = prefs.manifest_embed;
+  document.getElementById("tiff_compression_checkbox").disabled = !prefs.formats.includes("tiff");
+  document.getElementById("tiff_compression_checkbox").checked = prefs.tiff_compression;
+  document.getElementById("webp_lossless_checkbox").disabled = !prefs.formats.includes("webp");
+  document.getElementById("webp_lossless_checkbox").checked = prefs.webp_lossless;
+  document.getElementById("pdf_page").value = prefs.pdf_page;
+  document.getElementById("pdf_margin").value = prefs.pdf_margin;
+  document.getElementById("pdf_overlap").value = prefs.pdf_overlap;
+  document.getElementById("pdf_jpeg_checkbox").checked = prefs.pdf_jpeg;
+  UpdatePdfOptions(prefs.formats.includes("pdf"));
+  document.getElementById("report_note_checkbox").disabled = !prefs.formats.includes("html");
+  document.getElementById("report_note_checkbox").checked = prefs.report_note;
+  document.getElementById("print_paper").value = prefs.print_paper;
+  document.getElementById("print_orientation").value = prefs.print_orientation;
+  document.getElementById("print_background_checkbox").checked = prefs.print_background;
+  document.getElementById("print_headers_checkbox").checked = prefs.print_headers;
+  UpdatePrintOptions(prefs.regions.includes("print"));
+  document.getElementById("preload_checkbox").checked = prefs.preload;
+  document.getElementById("preload_quiet").value = prefs.preload_quiet;
+  document.getElementById("preload_max_height").value = prefs.preload_max_height;
+  document.getElementById("preload_timeout").value = prefs.preload_timeout;
 }
 
 // Register event listener to receive option update notifications
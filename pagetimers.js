@@ -0,0 +1,94 @@
+/*
+    Firefox addon "Save Screenshot"
+    Copyright (C) 2022  Jak.W <https://github.com/jakwings/firefox-screenshot>
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// The timers and animation frames of the page script go through here from
+// the start of the page, so that all of them, also the intervals set up long
+// before a screenshot, can be held back while its tiles are taken
+// https://developer.mozilla.org/en-US/docs/Mozilla/Add-ons/WebExtensions/Sharing_objects_with_page_scripts
+let page_timers = null;
+(function () {
+  let page = window.wrappedJSObject;
+  if (!page || typeof exportFunction !== 'function') {
+    return;
+  }
+  let original = {
+    requestAnimationFrame: page.requestAnimationFrame,
+    setTimeout: page.setTimeout,
+    setInterval: page.setInterval,
+  };
+  let timers = page_timers = {page, original, held: [], holding: false};
+  page.requestAnimationFrame = exportFunction(function (callback) {
+    return original.requestAnimationFrame.call(page, exportFunction((time) => {
+      if (timers.holding) {
+        timers.held.push({frame: true, callback, args: []});
+      } else {
+        callback(time);
+      }
+    }, page));
+  }, page);
+  page.setTimeout = exportFunction(function (callback, delay, ...args) {
+    if (typeof callback !== 'function') {
+      return original.setTimeout.call(page, callback, delay, ...args);
+    }
+    return original.setTimeout.call(page, exportFunction(() => {
+      if (timers.holding) {
+        timers.held.push({frame: false, callback, args});
+      } else {
+        callback(...args);
+      }
+    }, page), delay);
+  }, page);
+  page.setInterval = exportFunction(function (callback, delay, ...args) {
+    if (typeof callback !== 'function') {
+      return original.setInterval.call(page, callback, delay, ...args);
+    }
+    // ticks are skipped instead of piling up
+    return original.setInterval.call(page, exportFunction(() => {
+      if (!timers.holding) {
+        callback(...args);
+      }
+    }, page), delay);
+  }, page);
+})();
+
+// Holds back the callbacks of the page script until ReleasePageTimers()
+function HoldPageTimers() {
+  if (page_timers) {
+    page_timers.holding = true;
+  }
+}
+
+// Runs the callbacks held back, the timers of the page go on
+function ReleasePageTimers() {
+  if (!page_timers || !page_timers.holding) {
+    return;
+  }
+  let {page, original, held} = page_timers;
+  page_timers.holding = false;
+  page_timers.held = [];
+  original.requestAnimationFrame.call(page, exportFunction((time) => {
+    for (let {callback} of held.filter(x => x.frame)) {
+      callback(time);
+    }
+  }, page));
+  for (let {callback, args} of held.filter(x => !x.frame)) {
+    original.setTimeout.call(page, exportFunction(() => callback(...args), page), 0);
+  }
+}
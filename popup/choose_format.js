@@ -30,22 +30,157 @@ async function CreateButtons() {
     document.body.appendChild(div);
   });
 
-  //let modes = ['native_scroll', 'js_scroll', 'css_scroll'];
-  //let level = document.createElement('div');
-  //level.id = 'level';
-  //level.className = 'button';
-  //level.textContent = 'native_scroll';
-  //// TODO: event listener
-  //document.body.appendChild(level);
+  // toggles between the current tab and all (highlighted) tabs
+  let batch = document.createElement('div');
+  batch.id = 'batch';
+  batch.className = 'toggle';
+  batch.textContent = T$('batch_label');
+  document.body.appendChild(batch);
+
+  // switches the capture strategy of the current site
+  let tabs = await browser.tabs.query({active: true, currentWindow: true});
+  let host = GetSiteKey(tabs[0].url);
+  if (host) {
+    const prefs = await Storage.get();
+    let level = document.createElement('div');
+    level.id = 'level';
+    level.setAttribute('data-host', host);
+    level.textContent = T$('strategy_site_label', T$('strategy_' + (prefs.site_strategies[host] || 'auto')));
+    document.body.appendChild(level);
+  }
+}
+
+// Port to the background page for the progress and the queues of screenshots
+let port = null;
+
+// Cancels the screenshots of the current tab, at the top while it has any
+const cancel_tab = document.createElement('div');
+cancel_tab.id = 'cancel-tab';
+cancel_tab.hidden = true;
+cancel_tab.textContent = T$('cancel_tab_label');
+document.body.insertBefore(cancel_tab, document.body.firstChild);
+
+let current_tab = null;
+let busy_tabs = [];
+browser.tabs.query({active: true, currentWindow: true}).then(([tab]) => {
+  current_tab = tab.id;
+  UpdateTabCancel();
+});
+
+function UpdateTabCancel() {
+  cancel_tab.hidden = !busy_tabs.includes(current_tab);
+}
+
+// Creates an entry of a screenshot in the popup, with a button to cancel it
+function CreateEntry(id, className) {
+  let div = document.createElement('div');
+  div.id = id;
+  div.className = className;
+  let cancel = div.appendChild(document.createElement('span'));
+  cancel.className = 'cancel';
+  cancel.title = T$('cancel_label');
+  cancel.textContent = '\u2715';
+  div.appendChild(document.createElement('span')).className = 'text';
+  document.body.insertBefore(div, document.querySelector('.button'));
+  return div;
+}
+
+// Shows the progress and the queues of the screenshots being taken, updated
+// by the background page
+function FollowProgress() {
+  port = browser.runtime.connect({name: 'progress'});
+  port.onMessage.addListener((report) => {
+    if (report.queues) {
+      document.querySelectorAll('.waiting').forEach(div => div.remove());
+      document.querySelectorAll('.progress').forEach(div => div.hidden = false);
+      for (let name in report.queues) {
+        for (let info of report.queues[name]) {
+          let div = CreateEntry('waiting-' + info.id, 'waiting');
+          let format = info.format === 'copy' ? T$('format_copy_label') : String(info.format).toUpperCase();
+          div.setAttribute('data-id', info.id);
+          div.title = info.title;
+          div.querySelector('.text').textContent = T$(`queue_${name}_label`,
+            `${T$('region_' + info.region + '_label')} (${format})`);
+          // it is waiting instead
+          let progress = document.getElementById('progress-' + info.id);
+          if (progress) {
+            progress.hidden = true;
+          }
+        }
+      }
+      busy_tabs = report.tabs;
+      UpdateTabCancel();
+      return;
+    }
+    let div = document.getElementById('progress-' + report.id);
+    if (report.done) {
+      if (div) {
+        div.remove();
+      }
+      return;
+    }
+    if (!div) {
+      div = CreateEntry('progress-' + report.id, 'progress');
+      div.setAttribute('data-id', report.id);
+      div.appendChild(document.createElement('progress')).max = 100;
+    }
+    let text = T$('badge_' + report.phase, ...(report.args || []));
+    if (report.eta != null) {
+      text += ' \u2014 ' + T$('badge_eta', FormatDuration(report.eta));
+    }
+    div.title = report.title;
+    div.querySelector('progress').value = report.percent;
+    div.querySelector('.text').textContent = text;
+  });
 }
 
 // TODO: copy jpeg
 document.addEventListener('click', async (e) => {
-  if (e.target.classList.contains('button')) {
+  if (e.target.classList.contains('cancel')) {
+    port.postMessage({cancel: e.target.parentNode.getAttribute('data-id')});
+  } else if (e.target.id === 'cancel-tab') {
+    port.postMessage({cancel_tab: current_tab});
+    window.close();
+  } else if (e.target.id === 'batch') {
+    let checked = e.target.classList.toggle('checked');
+    // regions which need user interaction are not possible in background
+    // tabs, only the active tab can be printed, and the clipboard holds only
+    // one image
+    document.querySelectorAll('.button').forEach((button) => {
+      let {region, format} = JSON.parse(button.getAttribute('data-settings'));
+      if (region === 'selection' || region === 'element' || region === 'print' || format === 'copy') {
+        button.classList.toggle('disabled', checked);
+      }
+    });
+  } else if (e.target.id === 'level') {
+    let host = e.target.getAttribute('data-host');
+    let {site_strategies} = await Storage.get();
+    let modes = ['auto', ...STRATEGIES];
+    let mode = modes[(modes.indexOf(site_strategies[host] || 'auto') + 1) % modes.length];
+    site_strategies = Object.assign({}, site_strategies);
+    if (mode === 'auto') {
+      delete site_strategies[host];
+    } else {
+      site_strategies[host] = mode;
+    }
+    await Storage.set({site_strategies});
+    e.target.textContent = T$('strategy_site_label', T$('strategy_' + mode));
+  } else if (e.target.classList.contains('button')) {
+    if (e.target.classList.contains('disabled')) {
+      return;
+    }
     let data = e.target.getAttribute('data-settings');
-    await SendMessage(data);
+    if (document.getElementById('batch').classList.contains('checked')) {
+      let message = JSON.parse(data);
+      message.type = 'TakeBatchScreenshots';
+      // the background page carries on after the popup is closed
+      browser.runtime.sendMessage(message).catch(ignore);
+    } else {
+      await SendMessage(data);
+    }
     window.close();
   }
 });
 
 CreateButtons();
+FollowProgress();
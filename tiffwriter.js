@@ -0,0 +1,237 @@
+/*
+    Firefox addon "Save Screenshot"
+    Copyright (C) 2022  Jak.W <https://github.com/jakwings/firefox-screenshot>
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// https://www.itu.int/itudoc/itu-t/com16/tiff-fx/docs/tiff6.pdf
+// https://www.awaresystems.be/imaging/tiff/bigtiff.html
+const TIFF_SHORT = 3;
+const TIFF_ASCII = 2;
+const TIFF_LONG = 4;
+const TIFF_RATIONAL = 5;
+const TIFF_UNDEFINED = 7;
+const TIFF_LONG8 = 16;
+
+// Writes a TIFF image strip by strip, so that the whole image is never in
+// memory at once.  Rows are appended from top to bottom; the strips are kept
+// in Blobs, and the directory of the image is written at the end of the file.
+class TiffWriter {
+  constructor({width, compression = 'none', rows_per_strip = 64}) {
+    this.width = width;
+    this.height = 0;
+    this.compression = compression;
+    this.rows_per_strip = rows_per_strip;
+    this.strips = [];
+    this.sizes = [];
+    // rows not yet filling a whole strip
+    this.pending = null;
+    this.worker = new Worker('lib/worker-tiff.js');
+    this.reject = null;
+  }
+
+  // Appends rows of RGBA pixels
+  async append(data, rows) {
+    let bytes = this.width * 4;
+    if (this.pending) {
+      let merged = new Uint8Array(this.pending.length + rows * bytes);
+      merged.set(this.pending);
+      merged.set(data.subarray(0, rows * bytes), this.pending.length);
+      rows += this.pending.length / bytes;
+      data = merged;
+      this.pending = null;
+    }
+    let whole = rows - rows % this.rows_per_strip;
+    if (whole < rows) {
+      this.pending = data.slice(whole * bytes, rows * bytes);
+    }
+    if (whole > 0) {
+      await this.encode(data.subarray(0, whole * bytes), whole);
+    }
+  }
+
+  encode(data, rows) {
+    if (!this.worker) {
+      return Promise.reject(new Error('closed'));
+    }
+    return new Promise((resolve, reject) => {
+      this.reject = reject;
+      this.worker.onerror = (event) => reject(event);
+      this.worker.onmessage = (event) => {
+        for (let strip of event.data) {
+          this.strips.push(new Blob([strip]));
+          this.sizes.push(strip.length);
+        }
+        this.height += rows;
+        resolve();
+      };
+      this.worker.postMessage({
+        data: data,
+        width: this.width,
+        rows: rows,
+        rows_per_strip: this.rows_per_strip,
+        compression: this.compression,
+      });
+    });
+  }
+
+  // Resolves to the TIFF file as a Blob; scale: of the pixels to CSS pixels,
+  // for the resolution
+  async finish({description = '', software = '', scale = 1} = {}) {
+    try {
+      if (this.pending) {
+        let data = this.pending;
+        this.pending = null;
+        await this.encode(data, data.length / (this.width * 4));
+      }
+    } finally {
+      this.close();
+    }
+
+    let total = this.sizes.reduce((sum, size) => sum + size, 0);
+    // classic TIFF can only address 4 GiB
+    let big = 16 + total + 4096 + this.sizes.length * 16 > 0xFFFFFFFF;
+    let header_size = big ? 16 : 8;
+
+    let offsets = [], offset = header_size;
+    for (let size of this.sizes) {
+      offsets.push(offset);
+      offset += size;
+    }
+    // the directory starts on a word boundary
+    let padding = new Uint8Array(offset % 2);
+    offset += padding.length;
+    let dpi = ImageDPI(scale);
+    let long = big ? TIFF_LONG8 : TIFF_LONG;
+    let entries = [
+      {tag: 256, type: TIFF_LONG, values: [this.width]},
+      {tag: 257, type: TIFF_LONG, values: [this.height]},
+      {tag: 258, type: TIFF_SHORT, values: [8, 8, 8]},
+      {tag: 259, type: TIFF_SHORT, values: [this.compression === 'deflate' ? 8 : 1]},
+      {tag: 262, type: TIFF_SHORT, values: [2]},
+      {tag: 270, type: TIFF_ASCII, values: description},
+      {tag: 273, type: long, values: offsets},
+      {tag: 277, type: TIFF_SHORT, values: [3]},
+      {tag: 278, type: TIFF_LONG, values: [this.rows_per_strip]},
+      {tag: 279, type: long, values: this.sizes},
+      {tag: 282, type: TIFF_RATIONAL, values: [dpi, 1]},
+      {tag: 283, type: TIFF_RATIONAL, values: [dpi, 1]},
+      {tag: 284, type: TIFF_SHORT, values: [1]},
+      // inches
+      {tag: 296, type: TIFF_SHORT, values: [2]},
+      {tag: 305, type: TIFF_ASCII, values: software},
+      {tag: 317, type: TIFF_SHORT, values: [this.compression === 'deflate' ? 2 : 1]},
+    ].filter(entry => entry.values.length > 0);
+    let ifd = TiffDirectory(entries, offset, big);
+
+    let header = new DataView(new ArrayBuffer(header_size));
+    header.setUint16(0, 0x4949);  // "II": little-endian
+    if (big) {
+      header.setUint16(2, 43, true);
+      header.setUint16(4, 8, true);
+      header.setUint16(6, 0, true);
+      header.setBigUint64(8, BigInt(offset), true);
+    } else {
+      header.setUint16(2, 42, true);
+      header.setUint32(4, offset, true);
+    }
+    return new Blob([header.buffer, ...this.strips, padding, ifd], {type: 'image/tiff'});
+  }
+
+  // Stops encoding, appending or finishing fails after that
+  close() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    if (this.reject) {
+      this.reject(new Error('closed'));
+    }
+  }
+}
+
+// Builds an image file directory at the given offset of the file, followed
+// by the values which do not fit in its entries; also the directories of the
+// EXIF of JPEG images
+function TiffDirectory(entries, offset, big) {
+  const sizes = {
+    [TIFF_ASCII]: 1, [TIFF_SHORT]: 2, [TIFF_LONG]: 4, [TIFF_RATIONAL]: 8, [TIFF_UNDEFINED]: 1, [TIFF_LONG8]: 8,
+  };
+  const entry_size = big ? 20 : 12;
+  const inline_size = big ? 8 : 4;
+  const head_size = big ? 8 : 2;
+  const tail_size = big ? 8 : 4;
+
+  entries = entries.map(({tag, type, values}) => {
+    if (type === TIFF_ASCII) {
+      // 7-bit ASCII terminated by NUL
+      values = Array.from(values.replace(/[^\x20-\x7E\n]/g, '?') + '\0', c => c.charCodeAt(0));
+    }
+    return {tag, type, values, size: sizes[type] * (type === TIFF_RATIONAL ? values.length / 2 : values.length)};
+  });
+  let extra_offset = offset + head_size + entries.length * entry_size + tail_size;
+  let extra_size = entries.reduce((sum, e) => {
+    return sum + (e.size > inline_size ? e.size + e.size % 2 : 0);
+  }, 0);
+
+  let view = new DataView(new ArrayBuffer(extra_offset - offset + extra_size));
+  let putOffset = (pos, value) => {
+    if (big) {
+      view.setBigUint64(pos, BigInt(value), true);
+    } else {
+      view.setUint32(pos, value, true);
+    }
+  };
+  let putValues = (pos, {type, values}) => {
+    for (let value of values) {
+      switch (type) {
+        case TIFF_ASCII:
+        case TIFF_UNDEFINED: view.setUint8(pos, value); pos += 1; break;
+        case TIFF_SHORT: view.setUint16(pos, value, true); pos += 2; break;
+        case TIFF_LONG:
+        case TIFF_RATIONAL: view.setUint32(pos, value, true); pos += 4; break;
+        case TIFF_LONG8: view.setBigUint64(pos, BigInt(value), true); pos += 8; break;
+      }
+    }
+  };
+
+  if (big) {
+    view.setBigUint64(0, BigInt(entries.length), true);
+  } else {
+    view.setUint16(0, entries.length, true);
+  }
+  let pos = head_size;
+  let extra = extra_offset - offset;
+  for (let entry of entries) {
+    view.setUint16(pos, entry.tag, true);
+    view.setUint16(pos + 2, entry.type, true);
+    let count = entry.type === TIFF_RATIONAL ? entry.values.length / 2 : entry.values.length;
+    putOffset(pos + 4, count);
+    let value_pos = pos + 4 + (big ? 8 : 4);
+    if (entry.size > inline_size) {
+      putOffset(value_pos, offset + extra);
+      putValues(extra, entry);
+      extra += entry.size + entry.size % 2;
+    } else {
+      putValues(value_pos, entry);
+    }
+    pos += entry_size;
+  }
+  // no next directory
+  putOffset(pos, 0);
+  return view.buffer;
+}
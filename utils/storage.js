@@ -29,12 +29,51 @@ const Storage = {
         show_contextmenu: true,
         savemethod: 'open',
         formats: ['png', 'jpg', 'copy'],
-        regions: ['full', 'viewport', 'selection'],
+        regions: ['full', 'viewport', 'selection', 'element', 'container'],
         filenameformat: 'Screenshot-%Y%m%d-%H%M%S',
         targetdir: '',
         jpegquality: 80,
+        webpquality: 80,
+        webp_lossless: false,
+        png_colors: 0,
+        color_profile: 'none',
+        pdf_page: 'a4',
+        pdf_margin: 10,
+        pdf_overlap: 0,
+        pdf_jpeg: false,
+        print_paper: 'a4',
+        print_orientation: 'portrait',
+        print_background: true,
+        print_headers: false,
+        filters: [],
+        filter_brightness: 100,
+        filter_contrast: 100,
+        filter_sharpen: 50,
+        tiff_compression: true,
+        strategy: 'auto',
+        capture_concurrency: 1,
+        encode_concurrency: 1,
+        site_strategies: {},
+        output_scale: 'native',
+        output_width: 1280,
+        delay: 0,
+        preload: false,
+        preload_quiet: 500,
+        preload_max_height: 50000,
+        preload_timeout: 30,
         savenotification: true,
         image_comment: false,
+        image_artist: '',
+        image_copyright: '',
+        comment_template: 'Generated with SaveScreenshot for Firefox\nDate: %Y-%m-%d %H:%M:%S\nTitle: %t\nURL: %u',
+        metadata_png: ['comment', 'title', 'url', 'date', 'software', 'author'],
+        metadata_jpeg_com: ['comment'],
+        metadata_exif: ['comment', 'title', 'url', 'date', 'software', 'author'],
+        metadata_sidecar: [],
+        link_map: false,
+        manifest_sidecar: false,
+        manifest_embed: false,
+        report_note: true,
         copynotification: true,
       };
     }
@@ -46,6 +85,30 @@ const Storage = {
       }
     }
     prefs.jpegquality = Math.min(Math.max((prefs.jpegquality | 0) || 80, 1), 100);
+    prefs.webpquality = Math.min(Math.max((prefs.webpquality | 0) || 80, 1), 100);
+    prefs.png_colors = [0, 256, 64, 16].includes(prefs.png_colors | 0) ? prefs.png_colors | 0 : 0;
+    prefs.color_profile = ['none', 'srgb', 'icc'].includes(prefs.color_profile) ? prefs.color_profile : 'none';
+    // filters are applied in this order, sharpening last after scaling
+    prefs.filters = ['grayscale', 'invert', 'brightness', 'sharpen'].filter(name => prefs.filters.includes(name));
+    prefs.filter_brightness = Math.min(Math.max(prefs.filter_brightness | 0, 0), 400);
+    prefs.filter_contrast = Math.min(Math.max(prefs.filter_contrast | 0, 0), 400);
+    prefs.filter_sharpen = Math.min(Math.max((prefs.filter_sharpen | 0) || 50, 1), 500);
+    // fields of the metadata for each place where it is saved
+    for (let name of ['metadata_png', 'metadata_jpeg_com', 'metadata_exif', 'metadata_sidecar']) {
+      prefs[name] = ['comment', 'title', 'url', 'date', 'software', 'author'].filter(field => prefs[name].includes(field));
+    }
+    prefs.pdf_page = ['single', 'a4', 'letter'].includes(prefs.pdf_page) ? prefs.pdf_page : 'a4';
+    prefs.pdf_margin = Math.min(Math.max(prefs.pdf_margin | 0, 0), 50);
+    prefs.pdf_overlap = Math.min(Math.max(prefs.pdf_overlap | 0, 0), 500);
+    prefs.print_paper = ['a4', 'letter'].includes(prefs.print_paper) ? prefs.print_paper : 'a4';
+    prefs.print_orientation = prefs.print_orientation === 'landscape' ? 'landscape' : 'portrait';
+    prefs.output_width = Math.min(Math.max((prefs.output_width | 0) || 1280, 1), 32767);
+    prefs.delay = Math.min(Math.max(prefs.delay | 0, 0), 60);
+    prefs.capture_concurrency = Math.min(Math.max(prefs.capture_concurrency | 0, 1), 8);
+    prefs.encode_concurrency = Math.min(Math.max(prefs.encode_concurrency | 0, 1), 4);
+    prefs.preload_quiet = Math.max(prefs.preload_quiet | 0, 0);
+    prefs.preload_max_height = Math.max(prefs.preload_max_height | 0, 1);
+    prefs.preload_timeout = Math.max(prefs.preload_timeout | 0, 1);
     return prefs;
   },
 